@@ -1,21 +1,76 @@
 const express = require("express");
 const cors = require("cors");
 const creatorRoutes = require("./routes/creatorRoutes");
+const voiceRoutes = require("./routes/voiceRoutes");
+const catalogRoutes = require("./routes/catalogRoutes");
+const purchaseRoutes = require("./routes/purchaseRoutes");
+const chatRoutes = require("./routes/chatRoutes");
+const conversationRoutes = require("./routes/conversationRoutes");
+const webhookRoutes = require("./routes/webhookRoutes");
+const adminRoutes = require("./routes/adminRoutes");
+const healthRoutes = require("./routes/healthRoutes");
+const metricsRoutes = require("./routes/metricsRoutes");
+const healthService = require("./services/healthService");
+const { authenticate, requireAdmin } = require("./middleware/auth");
+const { ipLimit, userLimit } = require("./middleware/rateLimit");
+const requestId = require("./middleware/requestId");
+const accessLog = require("./middleware/accessLog");
+const httpMetrics = require("./middleware/httpMetrics");
+const { notFound, errorHandler } = require("./middleware/errorHandler");
 
 const app = express();
-app.use(cors());
-app.use(express.json());
-
-// Health check endpoint
-app.get("/status", (req, res) =>
-  res.json({
-    service: "Creator Athena Microservice",
-    status: "Microservice is running successfully",
-    version: "1.0.0",
-    timestamp: new Date().toISOString(),
+// Behind a proxy (e.g. Railway), TRUST_PROXY makes req.ip the client's
+// address for per-IP rate limits: true, a hop count or proxy addresses; false
+// when clients connect directly. Per-IP limits stay off while it is unset.
+if (process.env.TRUST_PROXY) {
+  let trust = process.env.TRUST_PROXY;
+  if (trust === "true") trust = true;
+  else if (trust === "false") trust = false;
+  else if (/^\d+$/.test(trust)) trust = Number(trust);
+  app.set("trust proxy", trust);
+}
+app.use(requestId);
+app.use(accessLog);
+app.use(httpMetrics);
+app.use(cors({ exposedHeaders: ["X-Request-Id"] }));
+// Agent imports re-read exports, which can be far larger than a normal
+// request (long system prompts); parsed here so the default limit below
+// doesn't reject them first (CSV imports get the same limit on the route)
+app.use("/creator/agents/import", express.json({ limit: "5mb" }));
+app.use(
+  express.json({
+    // Keep the exact bytes for webhook signature checks
+    verify: (req, res, buf) => {
+      req.rawBody = buf;
+    },
   })
 );
 
-app.use("/creator", creatorRoutes);
+// Liveness (kept for existing monitors); readiness is /health/ready
+app.get("/status", (req, res) => res.json(healthService.getLiveness()));
+app.use("/health", healthRoutes);
+
+// Prometheus scrapes; stays unmounted (404) unless a token is configured
+if (process.env.METRICS_TOKEN) {
+  app.use("/metrics", metricsRoutes);
+}
+
+// Per-IP limits run before authentication (they also slow token guessing),
+// per-caller limits after it; health checks and webhooks are not limited
+app.use("/creator/voices", ipLimit, authenticate, userLimit, voiceRoutes);
+app.use("/creator", ipLimit, authenticate, userLimit, creatorRoutes);
+app.use("/catalog", ipLimit, catalogRoutes);
+app.use("/purchases", purchaseRoutes);
+app.use("/agents", ipLimit, authenticate, userLimit, chatRoutes);
+app.use("/conversations", ipLimit, authenticate, userLimit, conversationRoutes);
+app.use("/webhooks", webhookRoutes);
+
+// Ops console; stays unmounted (404) unless explicitly enabled
+if (process.env.ADMIN_CONSOLE_ENABLED === "true") {
+  app.use("/admin", authenticate, requireAdmin, adminRoutes);
+}
+
+app.use(notFound);
+app.use(errorHandler);
 
 module.exports = app;
@@ -1,20 +1,66 @@
+const fs = require("fs");
 const { Pool } = require("pg");
+const logger = require("../utils/logger");
+
+/**
+ * Postgres connection pool
+ * Sizing and timeouts come from env:
+ *   DB_POOL_MAX (10), DB_IDLE_TIMEOUT_MS (30000),
+ *   DB_CONNECTION_TIMEOUT_MS (5000; how long a query waits for a client),
+ *   DB_STATEMENT_TIMEOUT_MS (unset = no limit; timed-out queries answer 503)
+ * DB_SSL_MODE picks the TLS setup:
+ *   disable     - plain connection (local development)
+ *   require     - encrypted, server certificate not verified (default;
+ *                 managed providers such as Railway use self-signed certs)
+ *   verify-full - encrypted and verified against the system CAs, or the PEM
+ *                 in DB_SSL_CA / the file at DB_SSL_CA_FILE
+ * An sslmode parameter in POSTGRES_DB takes precedence over DB_SSL_MODE.
+ */
+
+/**
+ * TLS options for the configured DB_SSL_MODE
+ */
+function sslConfig() {
+  const mode = process.env.DB_SSL_MODE || "require";
+
+  if (mode === "disable") return false;
+  if (mode === "require") return { rejectUnauthorized: false };
+  if (mode === "verify-full") {
+    const ca = process.env.DB_SSL_CA_FILE
+      ? fs.readFileSync(process.env.DB_SSL_CA_FILE, "utf8")
+      : process.env.DB_SSL_CA?.replace(/\\n/g, "\n");
+    return { rejectUnauthorized: true, ...(ca && { ca }) };
+  }
+
+  throw new Error(
+    `Unknown DB_SSL_MODE '${mode}' (use disable, require or verify-full)`
+  );
+}
 
 const pool = new Pool({
   connectionString: process.env.POSTGRES_DB,
-  ssl: {
-    rejectUnauthorized: false, // Required for cloud deployments (Railway)
-  },
+  ssl: sslConfig(),
+  max: parseInt(process.env.DB_POOL_MAX) || 10,
+  idleTimeoutMillis: parseInt(process.env.DB_IDLE_TIMEOUT_MS) || 30000,
+  connectionTimeoutMillis:
+    parseInt(process.env.DB_CONNECTION_TIMEOUT_MS) || 5000,
+  statement_timeout: parseInt(process.env.DB_STATEMENT_TIMEOUT_MS) || undefined,
 });
 
 // Connection monitoring
 pool.on("connect", () => {
-  console.log("✅ Database connected successfully");
+  logger.debug("Database client connected", { total: pool.totalCount });
 });
 
+// An idle client lost its connection (server restart, failover, network
+// blip). pg has already dropped it from the pool and opens a new one on the
+// next checkout, so this is logged rather than taking the process down.
 pool.on("error", (err) => {
-  console.error("❌ Unexpected database error:", err);
-  process.exit(-1);
+  logger.error("Idle database client failed", {
+    error: err,
+    total: pool.totalCount,
+    idle: pool.idleCount,
+  });
 });
 
 module.exports = pool;
@@ -0,0 +1,33 @@
+/**
+ * Quotas per plan (users.plan); null means unlimited
+ * PLAN_LIMITS (JSON) overrides or adds plans, e.g.
+ *   {"free": {"max_agents": 3}, "team": {"max_agents": 100, "max_uploads_per_day": 500}}
+ */
+const DEFAULT_PLANS = {
+  free: { max_agents: 5, max_uploads_per_day: 20 },
+  pro: { max_agents: 50, max_uploads_per_day: 200 },
+  enterprise: { max_agents: null, max_uploads_per_day: null },
+};
+
+const plans = { ...DEFAULT_PLANS };
+if (process.env.PLAN_LIMITS) {
+  for (const [name, limits] of Object.entries(
+    JSON.parse(process.env.PLAN_LIMITS)
+  )) {
+    plans[name] = { ...plans[name], ...limits };
+  }
+}
+
+/**
+ * Limits for a plan (unknown plans get the free limits)
+ * @param {String} plan - users.plan
+ * @returns {Object} { max_agents, max_uploads_per_day }
+ */
+function limitsFor(plan) {
+  return plans[plan] || plans.free;
+}
+
+module.exports = {
+  plans,
+  limitsFor,
+};
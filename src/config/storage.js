@@ -0,0 +1,22 @@
+const { S3Client } = require("@aws-sdk/client-s3");
+
+// S3_ENDPOINT points the client at an S3-compatible store (e.g. MinIO in
+// development); leave it unset for AWS
+const s3 = new S3Client({
+  region: process.env.S3_REGION || process.env.AWS_REGION || "us-east-1",
+  endpoint: process.env.S3_ENDPOINT || undefined,
+  forcePathStyle:
+    process.env.S3_FORCE_PATH_STYLE === "true" ||
+    Boolean(process.env.S3_ENDPOINT),
+  ...(process.env.S3_ACCESS_KEY_ID && {
+    credentials: {
+      accessKeyId: process.env.S3_ACCESS_KEY_ID,
+      secretAccessKey: process.env.S3_SECRET_ACCESS_KEY,
+    },
+  }),
+});
+
+module.exports = {
+  s3,
+  bucket: process.env.S3_BUCKET,
+};
@@ -0,0 +1,62 @@
+/**
+ * Base tables the services expect: users, agents and saved voices
+ * Idempotent so it can be recorded against databases created by hand before
+ * migrations were tracked.
+ */
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS users (
+      id SERIAL PRIMARY KEY,
+      -- External identity (matched against the token's user claim)
+      user_id VARCHAR(255) NOT NULL UNIQUE,
+      name VARCHAR(255),
+      email VARCHAR(255),
+      role VARCHAR(50) NOT NULL DEFAULT 'user',
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE TABLE IF NOT EXISTS agents (
+      id SERIAL PRIMARY KEY,
+      creator_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      personality_name VARCHAR(255),
+      tone VARCHAR(255),
+      trait_array TEXT[],
+      system_prompt TEXT,
+      model VARCHAR(100) DEFAULT 'gpt-4',
+      temperature NUMERIC(3, 2) DEFAULT 0.7,
+      max_tokens INTEGER DEFAULT 2000,
+      is_active BOOLEAN NOT NULL DEFAULT true,
+      role VARCHAR(20) NOT NULL DEFAULT 'free'
+        CHECK (role IN ('free', 'paid')),
+      price_amount NUMERIC(10, 2),
+      price_currency VARCHAR(3) DEFAULT 'USD',
+      training_api_uuid VARCHAR(255),
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    -- Older hand-made databases predate the Training API link
+    ALTER TABLE agents
+      ADD COLUMN IF NOT EXISTS training_api_uuid VARCHAR(255);
+
+    CREATE INDEX IF NOT EXISTS idx_agents_creator ON agents (creator_id);
+    CREATE INDEX IF NOT EXISTS idx_agents_training_api_uuid
+      ON agents (training_api_uuid);
+
+    CREATE TABLE IF NOT EXISTS user_voices (
+      id SERIAL PRIMARY KEY,
+      user_id VARCHAR(255) NOT NULL
+        REFERENCES users(user_id) ON DELETE CASCADE,
+      voice_id VARCHAR(255) NOT NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (user_id, voice_id)
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS user_voices;
+    DROP TABLE IF EXISTS agents;
+    DROP TABLE IF EXISTS users;
+  `,
+};
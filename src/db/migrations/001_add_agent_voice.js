@@ -0,0 +1,14 @@
+/**
+ * Adds the saved voice reference to agents
+ * voice_id points at a user_voices.voice_id owned by the agent's creator
+ */
+module.exports = {
+  up: `
+    ALTER TABLE agents
+      ADD COLUMN IF NOT EXISTS voice_id VARCHAR(255);
+  `,
+  down: `
+    ALTER TABLE agents
+      DROP COLUMN IF EXISTS voice_id;
+  `,
+};
@@ -0,0 +1,47 @@
+/**
+ * Durable Training API sync: per-agent sync status plus an outbox of
+ * create/update/delete events written alongside agent changes
+ */
+module.exports = {
+  up: `
+    ALTER TABLE agents
+      ADD COLUMN IF NOT EXISTS sync_status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (sync_status IN ('pending', 'synced', 'failed')),
+      ADD COLUMN IF NOT EXISTS sync_error TEXT,
+      ADD COLUMN IF NOT EXISTS synced_at TIMESTAMP;
+
+    UPDATE agents SET sync_status = 'synced', synced_at = updated_at
+      WHERE training_api_uuid IS NOT NULL;
+
+    CREATE TABLE IF NOT EXISTS training_sync_outbox (
+      id SERIAL PRIMARY KEY,
+      -- No FK: delete events must outlive the agent row
+      agent_id INTEGER NOT NULL,
+      event_type VARCHAR(10) NOT NULL
+        CHECK (event_type IN ('create', 'update', 'delete')),
+      training_api_uuid VARCHAR(255),
+      status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'processing', 'done', 'failed')),
+      attempts INTEGER NOT NULL DEFAULT 0,
+      last_error TEXT,
+      next_attempt_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      locked_at TIMESTAMP,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      processed_at TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_training_sync_outbox_pending
+      ON training_sync_outbox (next_attempt_at)
+      WHERE status = 'pending';
+    CREATE INDEX IF NOT EXISTS idx_training_sync_outbox_agent
+      ON training_sync_outbox (agent_id, id);
+  `,
+  down: `
+    DROP TABLE IF EXISTS training_sync_outbox;
+
+    ALTER TABLE agents
+      DROP COLUMN IF EXISTS synced_at,
+      DROP COLUMN IF EXISTS sync_error,
+      DROP COLUMN IF EXISTS sync_status;
+  `,
+};
@@ -0,0 +1,49 @@
+/**
+ * Immutable agent configuration history
+ * Every create/update/rollback stores a full snapshot of the editable fields.
+ */
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS agent_versions (
+      id SERIAL PRIMARY KEY,
+      agent_id INTEGER NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      version INTEGER NOT NULL,
+      config JSONB NOT NULL,
+      changed_fields TEXT[] NOT NULL DEFAULT '{}',
+      change_type VARCHAR(20) NOT NULL
+        CHECK (change_type IN ('create', 'update', 'rollback')),
+      rolled_back_to INTEGER,
+      author_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      UNIQUE (agent_id, version)
+    );
+
+    -- Seed version 1 from the current state of existing agents
+    INSERT INTO agent_versions (agent_id, version, config, change_type, author_id)
+    SELECT
+      a.id, 1,
+      jsonb_build_object(
+        'name', a.name,
+        'description', a.description,
+        'personality_name', a.personality_name,
+        'tone', a.tone,
+        'trait_array', a.trait_array,
+        'system_prompt', a.system_prompt,
+        'model', a.model,
+        'temperature', a.temperature,
+        'max_tokens', a.max_tokens,
+        'is_active', a.is_active,
+        'role', a.role,
+        'price_amount', a.price_amount,
+        'price_currency', a.price_currency
+      ),
+      'create', a.creator_id
+    FROM agents a
+    WHERE NOT EXISTS (
+      SELECT 1 FROM agent_versions v WHERE v.agent_id = a.id
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS agent_versions;
+  `,
+};
@@ -0,0 +1,20 @@
+/**
+ * Soft delete for agents
+ * Deleted agents stay in the trash until the purge job removes them.
+ */
+module.exports = {
+  up: `
+    ALTER TABLE agents
+      ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP;
+
+    CREATE INDEX IF NOT EXISTS idx_agents_deleted_at
+      ON agents (deleted_at)
+      WHERE deleted_at IS NOT NULL;
+  `,
+  down: `
+    DROP INDEX IF EXISTS idx_agents_deleted_at;
+
+    ALTER TABLE agents
+      DROP COLUMN IF EXISTS deleted_at;
+  `,
+};
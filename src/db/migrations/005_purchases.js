@@ -0,0 +1,45 @@
+/**
+ * Paid agent purchases: orders placed through a payment provider and the
+ * per-user entitlements they grant
+ */
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS agent_orders (
+      id SERIAL PRIMARY KEY,
+      -- Orders are financial records and outlive the agent
+      agent_id INTEGER REFERENCES agents(id) ON DELETE SET NULL,
+      creator_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      buyer_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      amount NUMERIC(10, 2) NOT NULL,
+      currency VARCHAR(3) NOT NULL,
+      status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'paid', 'failed', 'cancelled')),
+      provider VARCHAR(50) NOT NULL,
+      provider_ref VARCHAR(255) UNIQUE,
+      checkout_url TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      paid_at TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_agent_orders_buyer
+      ON agent_orders (buyer_id, created_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_agent_orders_agent_paid
+      ON agent_orders (agent_id)
+      WHERE status = 'paid';
+
+    CREATE TABLE IF NOT EXISTS agent_entitlements (
+      id SERIAL PRIMARY KEY,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      agent_id INTEGER NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      order_id INTEGER REFERENCES agent_orders(id) ON DELETE SET NULL,
+      granted_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      revoked_at TIMESTAMP,
+      UNIQUE (user_id, agent_id)
+    );
+  `,
+  down: `
+    DROP TABLE IF EXISTS agent_entitlements;
+    DROP TABLE IF EXISTS agent_orders;
+  `,
+};
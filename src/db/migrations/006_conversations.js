@@ -0,0 +1,37 @@
+/**
+ * Persistent chat history between users and agents
+ */
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS conversations (
+      id SERIAL PRIMARY KEY,
+      agent_id INTEGER NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      user_id INTEGER NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+      title VARCHAR(255),
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_conversations_user
+      ON conversations (user_id, updated_at DESC);
+    CREATE INDEX IF NOT EXISTS idx_conversations_agent
+      ON conversations (agent_id, updated_at DESC);
+
+    CREATE TABLE IF NOT EXISTS conversation_messages (
+      id SERIAL PRIMARY KEY,
+      conversation_id INTEGER NOT NULL
+        REFERENCES conversations(id) ON DELETE CASCADE,
+      role VARCHAR(20) NOT NULL CHECK (role IN ('user', 'assistant')),
+      content TEXT NOT NULL,
+      token_count INTEGER NOT NULL DEFAULT 0,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_conversation_messages_conversation
+      ON conversation_messages (conversation_id, id);
+  `,
+  down: `
+    DROP TABLE IF EXISTS conversation_messages;
+    DROP TABLE IF EXISTS conversations;
+  `,
+};
@@ -0,0 +1,28 @@
+/**
+ * Knowledge-base documents uploaded for an agent (files live in S3)
+ */
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS agent_documents (
+      id SERIAL PRIMARY KEY,
+      agent_id INTEGER NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      uploaded_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      filename VARCHAR(255) NOT NULL,
+      content_type VARCHAR(255) NOT NULL,
+      size_bytes INTEGER NOT NULL,
+      s3_key TEXT NOT NULL UNIQUE,
+      training_status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (training_status IN ('pending', 'submitted', 'failed')),
+      training_document_id VARCHAR(255),
+      training_error TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      submitted_at TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_agent_documents_agent
+      ON agent_documents (agent_id, created_at DESC);
+  `,
+  down: `
+    DROP TABLE IF EXISTS agent_documents;
+  `,
+};
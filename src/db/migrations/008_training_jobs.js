@@ -0,0 +1,33 @@
+/**
+ * Training runs on the Training API, kept up to date by its status webhook
+ */
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS training_jobs (
+      id SERIAL PRIMARY KEY,
+      agent_id INTEGER NOT NULL REFERENCES agents(id) ON DELETE CASCADE,
+      requested_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+      training_job_id VARCHAR(255) UNIQUE,
+      trigger VARCHAR(20) NOT NULL DEFAULT 'manual'
+        CHECK (trigger IN ('manual', 'upstream')),
+      status VARCHAR(20) NOT NULL DEFAULT 'queued'
+        CHECK (status IN ('queued', 'running', 'succeeded', 'failed', 'cancelled')),
+      progress INTEGER NOT NULL DEFAULT 0 CHECK (progress BETWEEN 0 AND 100),
+      error TEXT,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      started_at TIMESTAMP,
+      finished_at TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_training_jobs_agent
+      ON training_jobs (agent_id, created_at DESC);
+    -- At most one queued or running job per agent
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_training_jobs_agent_active
+      ON training_jobs (agent_id)
+      WHERE status IN ('queued', 'running');
+  `,
+  down: `
+    DROP TABLE IF EXISTS training_jobs;
+  `,
+};
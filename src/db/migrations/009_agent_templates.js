@@ -0,0 +1,34 @@
+/**
+ * Reusable agent configurations: private to a creator or shared system-wide
+ */
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS agent_templates (
+      id SERIAL PRIMARY KEY,
+      owner_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+      visibility VARCHAR(20) NOT NULL DEFAULT 'private'
+        CHECK (visibility IN ('private', 'system')),
+      name VARCHAR(255) NOT NULL,
+      description TEXT,
+      personality_name VARCHAR(255),
+      tone VARCHAR(255),
+      trait_array TEXT[],
+      system_prompt TEXT,
+      model VARCHAR(100),
+      temperature NUMERIC(3, 2),
+      max_tokens INTEGER,
+      source_agent_id INTEGER REFERENCES agents(id) ON DELETE SET NULL,
+      created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+      updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_agent_templates_owner
+      ON agent_templates (owner_id);
+    CREATE INDEX IF NOT EXISTS idx_agent_templates_system
+      ON agent_templates (name)
+      WHERE visibility = 'system';
+  `,
+  down: `
+    DROP TABLE IF EXISTS agent_templates;
+  `,
+};
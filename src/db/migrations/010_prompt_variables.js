@@ -0,0 +1,20 @@
+/**
+ * Creator-defined system_prompt variables ({{name}} placeholders) and their
+ * default values, on agents and on templates
+ */
+module.exports = {
+  up: `
+    ALTER TABLE agents
+      ADD COLUMN IF NOT EXISTS prompt_variables JSONB NOT NULL DEFAULT '{}';
+
+    ALTER TABLE agent_templates
+      ADD COLUMN IF NOT EXISTS prompt_variables JSONB NOT NULL DEFAULT '{}';
+  `,
+  down: `
+    ALTER TABLE agent_templates
+      DROP COLUMN IF EXISTS prompt_variables;
+
+    ALTER TABLE agents
+      DROP COLUMN IF EXISTS prompt_variables;
+  `,
+};
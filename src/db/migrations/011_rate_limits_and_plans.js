@@ -0,0 +1,33 @@
+/**
+ * Fixed-window counters shared by every instance (rate limits, daily quotas)
+ * and the plan that sets each user's quotas
+ * Existing users are backfilled to enterprise (no agent cap) so creators who
+ * already own more agents than a plan allows aren't locked out; only users
+ * created afterwards start on free.
+ */
+module.exports = {
+  up: `
+    CREATE TABLE IF NOT EXISTS rate_limit_counters (
+      key VARCHAR(255) NOT NULL,
+      window_start TIMESTAMPTZ NOT NULL,
+      count INTEGER NOT NULL DEFAULT 0,
+      expires_at TIMESTAMPTZ NOT NULL,
+      PRIMARY KEY (key, window_start)
+    );
+
+    CREATE INDEX IF NOT EXISTS idx_rate_limit_counters_expires
+      ON rate_limit_counters (expires_at);
+
+    ALTER TABLE users
+      ADD COLUMN IF NOT EXISTS plan VARCHAR(50) NOT NULL DEFAULT 'enterprise';
+
+    ALTER TABLE users
+      ALTER COLUMN plan SET DEFAULT 'free';
+  `,
+  down: `
+    ALTER TABLE users
+      DROP COLUMN IF EXISTS plan;
+
+    DROP TABLE IF EXISTS rate_limit_counters;
+  `,
+};
@@ -0,0 +1,199 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+
+const MIGRATIONS_DIR = path.join(__dirname, "migrations");
+const MIGRATION_FILE = /^\d{3}_[\w-]+\.js$/;
+// Serializes runners across processes (arbitrary constant)
+const LOCK_KEY = 7262811;
+
+/**
+ * Load migration files in the order they apply
+ * @returns {Array<Object>} [{ name, up, down, checksum }]
+ */
+function loadMigrations(dir = MIGRATIONS_DIR) {
+  return fs
+    .readdirSync(dir)
+    .filter((file) => MIGRATION_FILE.test(file))
+    .sort()
+    .map((file) => {
+      const { up, down } = require(path.join(dir, file));
+      if (typeof up !== "string" || typeof down !== "string") {
+        throw new Error(`Migration ${file} must export up and down SQL`);
+      }
+      return {
+        name: path.basename(file, ".js"),
+        up,
+        down,
+        checksum: crypto.createHash("sha256").update(up).digest("hex"),
+      };
+    });
+}
+
+/**
+ * Create the tracking table if needed and read what has been applied
+ */
+async function fetchApplied(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      name VARCHAR(255) PRIMARY KEY,
+      checksum VARCHAR(64) NOT NULL,
+      applied_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+    );
+  `);
+  const result = await client.query(
+    `SELECT name, checksum, applied_at FROM schema_migrations ORDER BY name;`
+  );
+  return new Map(result.rows.map((row) => [row.name, row]));
+}
+
+/**
+ * Run fn while holding the migration lock
+ */
+async function withLock(pool, fn) {
+  const client = await pool.connect();
+
+  try {
+    await client.query(`SELECT pg_advisory_lock($1);`, [LOCK_KEY]);
+    return await fn(client);
+  } finally {
+    await client
+      .query(`SELECT pg_advisory_unlock($1);`, [LOCK_KEY])
+      .catch(() => {});
+    client.release();
+  }
+}
+
+/**
+ * Run one migration step and update the tracking table atomically
+ */
+async function applyStep(client, migration, direction) {
+  try {
+    await client.query("BEGIN");
+    await client.query(migration[direction]);
+    if (direction === "up") {
+      await client.query(
+        `INSERT INTO schema_migrations (name, checksum) VALUES ($1, $2);`,
+        [migration.name, migration.checksum]
+      );
+    } else {
+      await client.query(`DELETE FROM schema_migrations WHERE name = $1;`, [
+        migration.name,
+      ]);
+    }
+    await client.query("COMMIT");
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw new Error(
+      `Migration ${migration.name} (${direction}) failed: ${error.message}`
+    );
+  }
+}
+
+/**
+ * Report every migration and whether it has been applied
+ * @param {Object} pool - pg pool
+ * @returns {Promise<Array>} [{ name, applied, applied_at, modified }]
+ */
+async function status(pool) {
+  return withLock(pool, async (client) => {
+    const applied = await fetchApplied(client);
+
+    return loadMigrations().map((migration) => {
+      const row = applied.get(migration.name);
+      return {
+        name: migration.name,
+        applied: Boolean(row),
+        applied_at: row ? row.applied_at : null,
+        // The file changed after it was applied
+        modified: Boolean(row) && row.checksum !== migration.checksum,
+      };
+    });
+  });
+}
+
+/**
+ * Apply pending migrations in order, each in its own transaction
+ * @param {Object} pool - pg pool
+ * @param {Object} [options] - { dryRun, to, log }
+ *   to: last migration name to apply (default: all)
+ * @returns {Promise<Array<String>>} Names applied (or that would be)
+ */
+async function migrateUp(pool, options = {}) {
+  const log = options.log || console.log;
+
+  return withLock(pool, async (client) => {
+    const applied = await fetchApplied(client);
+    const migrations = loadMigrations();
+
+    if (options.to && !migrations.some((m) => m.name === options.to)) {
+      throw new Error(`Migration ${options.to} not found`);
+    }
+
+    const pending = migrations.filter(
+      (m) => !applied.has(m.name) && (!options.to || m.name <= options.to)
+    );
+
+    for (const migration of pending) {
+      if (options.dryRun) {
+        log(`-- [dry run] up ${migration.name}\n${migration.up.trim()}\n`);
+        continue;
+      }
+      await applyStep(client, migration, "up");
+      log(`Applied ${migration.name}`);
+    }
+
+    return pending.map((m) => m.name);
+  });
+}
+
+/**
+ * Revert applied migrations, newest first
+ * @param {Object} pool - pg pool
+ * @param {Object} [options] - { dryRun, steps, to, log }
+ *   steps: how many to revert (default 1); to: revert everything after it
+ * @returns {Promise<Array<String>>} Names reverted (or that would be)
+ */
+async function migrateDown(pool, options = {}) {
+  const log = options.log || console.log;
+
+  return withLock(pool, async (client) => {
+    const applied = await fetchApplied(client);
+    const migrations = loadMigrations();
+
+    if (options.to && !migrations.some((m) => m.name === options.to)) {
+      throw new Error(`Migration ${options.to} not found`);
+    }
+
+    let names = [...applied.keys()].sort().reverse();
+    names = options.to
+      ? names.filter((name) => name > options.to)
+      : names.slice(0, options.steps || 1);
+
+    const targets = names.map((name) => {
+      const migration = migrations.find((m) => m.name === name);
+      if (!migration) {
+        throw new Error(`Migration ${name} has no file and cannot be reverted`);
+      }
+      return migration;
+    });
+
+    for (const migration of targets) {
+      if (options.dryRun) {
+        log(`-- [dry run] down ${migration.name}\n${migration.down.trim()}\n`);
+        continue;
+      }
+      await applyStep(client, migration, "down");
+      log(`Reverted ${migration.name}`);
+    }
+
+    return targets.map((m) => m.name);
+  });
+}
+
+module.exports = {
+  loadMigrations,
+  status,
+  migrateUp,
+  migrateDown,
+};
@@ -0,0 +1,38 @@
+const { AsyncResource } = require("async_hooks");
+const logger = require("../utils/logger");
+
+/**
+ * Access log: one line per request once the response is done
+ * (or the client went away), with status and latency. Query strings are
+ * left out since they can hold emails and search terms.
+ */
+function accessLog(req, res, next) {
+  const started = process.hrtime.bigint();
+
+  let logged = false;
+  // Bound so the line keeps the request's ID whichever socket event ends it
+  const done = AsyncResource.bind(() => {
+    if (logged) return;
+    logged = true;
+
+    const fields = {
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status: res.statusCode,
+      duration_ms:
+        Math.round(Number(process.hrtime.bigint() - started) / 1e5) / 10,
+      user_id: req.user?.id,
+      ip: req.ip,
+    };
+    if (!res.writableFinished) fields.aborted = true;
+
+    if (res.statusCode >= 500) logger.warn("Request completed", fields);
+    else logger.info("Request completed", fields);
+  });
+
+  res.on("finish", done);
+  res.on("close", done);
+  next();
+}
+
+module.exports = accessLog;
@@ -0,0 +1,155 @@
+const fs = require("fs");
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const pool = require("../config/database");
+const { UnauthorizedError, ForbiddenError } = require("../utils/errors");
+
+const HMAC_ALGORITHMS = ["HS256", "HS384", "HS512"];
+const ASYMMETRIC_ALGORITHMS = [
+  "RS256",
+  "RS384",
+  "RS512",
+  "PS256",
+  "PS384",
+  "PS512",
+  "ES256",
+  "ES384",
+  "ES512",
+];
+
+// Token claim matched against users.user_id
+const USER_CLAIM = process.env.AUTH_USER_CLAIM || "sub";
+const ADMIN_ROLE = "admin";
+
+let jwksKeys = null;
+
+/**
+ * Load and cache public keys from the local JWKS file
+ * @returns {Array<Object>} Keys with their kid and KeyObject
+ */
+function loadJwks() {
+  if (jwksKeys) return jwksKeys;
+
+  const raw = JSON.parse(fs.readFileSync(process.env.AUTH_JWKS_PATH, "utf8"));
+  jwksKeys = (raw.keys || []).map((jwk) => ({
+    kid: jwk.kid,
+    key: crypto.createPublicKey({ key: jwk, format: "jwk" }),
+  }));
+
+  return jwksKeys;
+}
+
+/**
+ * Resolve the verification key for a token header
+ * (HMAC secret when AUTH_JWT_SECRET is set, otherwise the JWKS file)
+ */
+function getKey(header, callback) {
+  try {
+    if (process.env.AUTH_JWT_SECRET) {
+      return callback(null, process.env.AUTH_JWT_SECRET);
+    }
+
+    if (!process.env.AUTH_JWKS_PATH) {
+      return callback(new Error("Authentication is not configured"));
+    }
+
+    const keys = loadJwks();
+    const match = header.kid
+      ? keys.find((k) => k.kid === header.kid)
+      : keys.length === 1 && keys[0];
+
+    if (!match) {
+      return callback(new Error("No matching signing key"));
+    }
+    callback(null, match.key);
+  } catch (error) {
+    callback(error);
+  }
+}
+
+/**
+ * Verify a signed JWT
+ * @param {String} token - Raw bearer token
+ * @returns {Promise<Object>} Verified claims
+ */
+function verifyToken(token) {
+  const options = {
+    algorithms: process.env.AUTH_JWT_SECRET
+      ? HMAC_ALGORITHMS
+      : ASYMMETRIC_ALGORITHMS,
+  };
+  if (process.env.AUTH_JWT_ISSUER) options.issuer = process.env.AUTH_JWT_ISSUER;
+  if (process.env.AUTH_JWT_AUDIENCE) {
+    options.audience = process.env.AUTH_JWT_AUDIENCE;
+  }
+
+  return new Promise((resolve, reject) => {
+    jwt.verify(token, getKey, options, (err, claims) =>
+      err ? reject(err) : resolve(claims)
+    );
+  });
+}
+
+/**
+ * Authentication middleware
+ * Verifies the bearer token and attaches the caller to req.user:
+ * { id, user_id, role, isAdmin }
+ */
+async function authenticate(req, res, next) {
+  const header = req.headers.authorization || "";
+  const [scheme, token] = header.split(" ");
+
+  if (scheme !== "Bearer" || !token) {
+    return next(new UnauthorizedError("Missing bearer token"));
+  }
+
+  let claims;
+  try {
+    claims = await verifyToken(token);
+  } catch (error) {
+    return next(new UnauthorizedError(`Invalid token: ${error.message}`));
+  }
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT id, user_id, role FROM users WHERE user_id = $1;`,
+      [String(claims[USER_CLAIM])]
+    );
+
+    if (result.rows.length === 0) {
+      return next(
+        new UnauthorizedError("Token subject does not match any user")
+      );
+    }
+
+    const user = result.rows[0];
+    req.user = {
+      id: user.id,
+      user_id: user.user_id,
+      role: user.role,
+      isAdmin: user.role === ADMIN_ROLE,
+    };
+    next();
+  } catch (error) {
+    next(error);
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Admin-only guard (mount after authenticate)
+ */
+function requireAdmin(req, res, next) {
+  if (!req.user?.isAdmin) {
+    return next(new ForbiddenError("Access denied - admin role required"));
+  }
+  next();
+}
+
+module.exports = {
+  authenticate,
+  requireAdmin,
+  verifyToken,
+};
@@ -0,0 +1,92 @@
+const logger = require("../utils/logger");
+const {
+  AppError,
+  NotFoundError,
+  ValidationError,
+  UpstreamUnavailableError,
+  fromDatabaseError,
+} = require("../utils/errors");
+
+/**
+ * Turn anything thrown by a handler into an AppError
+ */
+function normalizeError(error) {
+  if (error instanceof AppError) return error;
+
+  // express.json / express.text
+  if (error.type === "entity.parse.failed") {
+    return new AppError("Request body is not valid JSON", {
+      status: 400,
+      code: "invalid_json",
+    });
+  }
+  if (error.type === "entity.too.large") {
+    return new AppError("Request body is too large", {
+      status: 413,
+      code: "payload_too_large",
+    });
+  }
+  if (error.type && error.status >= 400 && error.status < 500) {
+    return new ValidationError(error.message);
+  }
+
+  const databaseError = fromDatabaseError(error);
+  if (databaseError) return databaseError;
+
+  // Training API answered with an error, or never answered
+  if (error.isAxiosError) {
+    return new UpstreamUnavailableError(
+      `Training API request failed: ${
+        error.response?.data?.message || error.message
+      }`,
+      { status: error.response ? 502 : 503, cause: error }
+    );
+  }
+
+  return new AppError("Internal server error", { cause: error });
+}
+
+/**
+ * Fallback for unmatched routes
+ */
+function notFound(req, res, next) {
+  next(new NotFoundError(`Route ${req.method} ${req.path} not found`));
+}
+
+/**
+ * Error middleware: one JSON shape for every failure
+ * { success: false, message, code, errors?, request_id }
+ */
+function errorHandler(error, req, res, next) {
+  const appError = normalizeError(error);
+
+  if (appError.status >= 500) {
+    logger.error("Request failed", {
+      method: req.method,
+      path: req.originalUrl.split("?")[0],
+      status: appError.status,
+      error,
+    });
+  }
+
+  // Streaming responses (chat) can't change status once started
+  if (res.headersSent) {
+    return res.end();
+  }
+
+  if (appError.retryAfter) {
+    res.set("Retry-After", String(appError.retryAfter));
+  }
+  res.status(appError.status).json({
+    success: false,
+    message: appError.message,
+    code: appError.code,
+    errors: appError.errors,
+    request_id: req.id,
+  });
+}
+
+module.exports = {
+  notFound,
+  errorHandler,
+};
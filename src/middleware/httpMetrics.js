@@ -0,0 +1,41 @@
+const metrics = require("../utils/metrics");
+
+/**
+ * Route template for labels ("/creator/agents/:id"), so IDs don't create a
+ * series each. Express has unwound req.baseUrl by the time an error response
+ * finishes, so the mount path is taken from the URL instead: everything
+ * before the segments the matched route consumed.
+ */
+function routeLabel(req) {
+  const routePath = req.route?.path;
+  if (typeof routePath !== "string") return "unmatched";
+
+  const segments = req.originalUrl.split("?")[0].split("/").filter(Boolean);
+  const depth = routePath.split("/").filter(Boolean).length;
+  const mount = segments
+    .slice(0, segments.length - depth)
+    .map((segment) => `/${segment}`)
+    .join("");
+  if (routePath === "/") return mount || "/";
+  return mount + routePath;
+}
+
+/**
+ * Count and time every request by method, route and status
+ */
+function httpMetrics(req, res, next) {
+  const endTimer = metrics.httpRequestDuration.startTimer();
+
+  res.on("finish", () => {
+    const labels = {
+      method: req.method,
+      route: routeLabel(req),
+      status: String(res.statusCode),
+    };
+    endTimer(labels);
+    metrics.httpRequestsTotal.inc(labels);
+  });
+  next();
+}
+
+module.exports = httpMetrics;
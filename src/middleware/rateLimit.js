@@ -0,0 +1,93 @@
+const counterService = require("../services/counterService");
+const logger = require("../utils/logger");
+const { RateLimitError } = require("../utils/errors");
+
+const ENABLED = process.env.RATE_LIMIT_ENABLED !== "false";
+const WINDOW_MS = parseInt(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+
+/**
+ * Fixed-window rate limiter
+ * Counts per authenticated user (keyBy "user", falling back to the IP before
+ * authentication) or per client IP, sets RateLimit-* headers and rejects with
+ * 429 + Retry-After once `max` is exceeded. A failing counter store lets the
+ * request through rather than taking the API down with it.
+ * @param {Object} options - { name, max, windowMs, keyBy: "user" | "ip" }
+ * @returns {Function} Express middleware
+ */
+function rateLimit({ name, max, windowMs = WINDOW_MS, keyBy = "user" }) {
+  return async function limitRate(req, res, next) {
+    if (!ENABLED || !max) return next();
+
+    const subject =
+      keyBy === "user" && req.user ? `user:${req.user.id}` : `ip:${req.ip}`;
+
+    let counter;
+    try {
+      counter = await counterService.increment(
+        `rl:${name}:${subject}`,
+        windowMs
+      );
+    } catch (error) {
+      logger.error("Rate limiter unavailable", { limiter: name, error });
+      return next();
+    }
+
+    const retryAfter = Math.max(
+      1,
+      Math.ceil((counter.resetAt - Date.now()) / 1000)
+    );
+    res.set({
+      "RateLimit-Limit": String(max),
+      "RateLimit-Remaining": String(Math.max(0, max - counter.count)),
+      "RateLimit-Reset": String(retryAfter),
+    });
+
+    if (counter.count > max) {
+      return next(
+        new RateLimitError(
+          `Too many requests - retry in ${retryAfter}s`,
+          retryAfter
+        )
+      );
+    }
+    next();
+  };
+}
+
+// Unauthenticated traffic and token guessing, per client IP
+// Only on when TRUST_PROXY says how to find the client's address: behind a
+// proxy (e.g. Railway) req.ip is otherwise the proxy's, and every client
+// would share one budget. Use TRUST_PROXY=false when clients connect
+// directly.
+const ipLimit = process.env.TRUST_PROXY
+  ? rateLimit({
+      name: "ip",
+      keyBy: "ip",
+      max: parseInt(process.env.RATE_LIMIT_IP_MAX) || 300,
+    })
+  : (req, res, next) => next();
+
+if (ENABLED && !process.env.TRUST_PROXY) {
+  logger.warn(
+    "Per-IP rate limits are disabled: set TRUST_PROXY (a hop count, true, proxy addresses, or false without a proxy) to enable them"
+  );
+}
+
+// Authenticated traffic, per caller
+const userLimit = rateLimit({
+  name: "user",
+  max: parseInt(process.env.RATE_LIMIT_USER_MAX) || 120,
+});
+
+// Agent creation (each create is a Training API registration)
+const createLimit = rateLimit({
+  name: "create",
+  max: parseInt(process.env.RATE_LIMIT_CREATE_MAX) || 10,
+});
+
+module.exports = {
+  rateLimit,
+  ipLimit,
+  userLimit,
+  createLimit,
+};
@@ -0,0 +1,21 @@
+const crypto = require("crypto");
+const requestContext = require("../utils/requestContext");
+
+// Accept upstream IDs (load balancer, caller) only if they look like one
+const VALID_ID = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Request ID middleware
+ * Reuses a valid X-Request-Id header or generates one, exposes it as req.id
+ * and echoes it back so callers can quote it in bug reports. The rest of the
+ * request runs in a context holding the ID, so log lines and Training API
+ * calls made while handling it carry the same ID.
+ */
+function requestId(req, res, next) {
+  const incoming = req.get("x-request-id");
+  req.id = incoming && VALID_ID.test(incoming) ? incoming : crypto.randomUUID();
+  res.set("X-Request-Id", req.id);
+  requestContext.run({ request_id: req.id }, next);
+}
+
+module.exports = requestId;
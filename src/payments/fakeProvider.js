@@ -0,0 +1,88 @@
+const crypto = require("crypto");
+const {
+  UnauthorizedError,
+  UpstreamUnavailableError,
+  ValidationError,
+} = require("../utils/errors");
+
+/**
+ * Local fake payment provider for development and testing
+ * Checkouts complete when a webhook signed with FAKE_PAYMENT_SECRET is
+ * posted to /purchases/webhooks/fake, e.g.:
+ *   body = {"provider_ref":"fake_...","status":"paid"}
+ *   x-fake-signature: hex HMAC-SHA256(body, FAKE_PAYMENT_SECRET)
+ * Only registered when PAYMENT_PROVIDER=fake; without FAKE_PAYMENT_SECRET it
+ * refuses checkouts and webhooks (503) rather than trusting a known key.
+ */
+
+/**
+ * The signing secret (503 when it is not configured)
+ */
+function getSecret() {
+  const secret = process.env.FAKE_PAYMENT_SECRET;
+  if (!secret) {
+    throw new UpstreamUnavailableError(
+      "Fake payment provider is not configured (FAKE_PAYMENT_SECRET)",
+      { status: 503 }
+    );
+  }
+  return secret;
+}
+
+/**
+ * Sign a raw webhook body the way the fake provider would
+ * @param {String|Buffer} rawBody - Exact request body
+ * @returns {String} Hex signature
+ */
+function sign(rawBody) {
+  return crypto.createHmac("sha256", getSecret()).update(rawBody).digest("hex");
+}
+
+/**
+ * Start a checkout for an order
+ * @param {Object} order - Row from agent_orders
+ * @returns {Promise<Object>} { providerRef, checkoutUrl }
+ */
+async function createCheckout(order) {
+  // Without a secret the checkout could never be confirmed
+  getSecret();
+
+  const providerRef = `fake_${crypto.randomUUID()}`;
+  return {
+    providerRef,
+    checkoutUrl: `fake://checkout/${providerRef}?amount=${order.amount}&currency=${order.currency}`,
+  };
+}
+
+/**
+ * Verify and parse a webhook request
+ * @param {Object} req - Express request (rawBody captured by express.json)
+ * @returns {Object} { providerRef, status: 'paid' | 'failed' }
+ */
+function parseWebhook(req) {
+  const signature = req.headers["x-fake-signature"] || "";
+  const expected = sign(req.rawBody || "");
+
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    throw new UnauthorizedError("Invalid webhook signature");
+  }
+
+  const { provider_ref, status } = req.body || {};
+  if (!provider_ref || !["paid", "failed"].includes(status)) {
+    throw new ValidationError(
+      "Webhook payload must include provider_ref and status"
+    );
+  }
+
+  return { providerRef: provider_ref, status };
+}
+
+module.exports = {
+  name: "fake",
+  createCheckout,
+  parseWebhook,
+  sign,
+};
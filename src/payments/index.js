@@ -0,0 +1,46 @@
+/**
+ * Payment provider registry
+ * A provider implements:
+ *   name: String
+ *   createCheckout(order) -> Promise<{ providerRef, checkoutUrl }>
+ *   parseWebhook(req) -> { providerRef, status: 'paid' | 'failed' }
+ *     (must verify the request signature and throw if it is invalid)
+ */
+const fakeProvider = require("./fakeProvider");
+const { NotFoundError, UpstreamUnavailableError } = require("../utils/errors");
+
+const providers = {
+  [fakeProvider.name]: fakeProvider,
+};
+
+/**
+ * Get the provider used for new checkouts (PAYMENT_PROVIDER; none is
+ * enabled by default, so purchases answer 503 until one is configured)
+ */
+function getActiveProvider() {
+  const active = process.env.PAYMENT_PROVIDER;
+  if (!active) {
+    throw new UpstreamUnavailableError(
+      "Payments are not configured (PAYMENT_PROVIDER)",
+      { status: 503 }
+    );
+  }
+  return getProvider(active);
+}
+
+/**
+ * Get an enabled provider by name (only the one PAYMENT_PROVIDER names)
+ * @param {String} name - Provider name
+ */
+function getProvider(name) {
+  const active = process.env.PAYMENT_PROVIDER;
+  if (!active || name !== active || !providers[name]) {
+    throw new NotFoundError(`Payment provider '${name}' not found`);
+  }
+  return providers[name];
+}
+
+module.exports = {
+  getActiveProvider,
+  getProvider,
+};
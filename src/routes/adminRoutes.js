@@ -0,0 +1,71 @@
+const express = require("express");
+const router = express.Router();
+const adminService = require("../services/adminService");
+const { ValidationError } = require("../utils/errors");
+
+/**
+ * Operations console (admins only; mounted when ADMIN_CONSOLE_ENABLED=true)
+ */
+
+/**
+ * GET /api/admin/schema
+ * Columns and row counts of the agents and users tables
+ */
+router.get("/schema", async (req, res) => {
+  const result = await adminService.getSchemaOverview();
+  res.json(result);
+});
+
+/**
+ * GET /api/admin/users?email=xxx or ?user_id=xxx
+ * Look up a user (its numeric id is the creator_id of their agents)
+ */
+router.get("/users", async (req, res) => {
+  const { email, user_id } = req.query;
+  if (!email && !user_id) {
+    throw new ValidationError(
+      "Provide either email or user_id query parameter"
+    );
+  }
+
+  const result = await adminService.findUser({ email, user_id });
+  res.json(result);
+});
+
+/**
+ * GET /api/admin/db/pool
+ * Database connection pool usage
+ */
+router.get("/db/pool", (req, res) => {
+  res.json(adminService.getPoolStats());
+});
+
+/**
+ * GET /api/admin/db/migrations
+ * Applied, pending and modified schema migrations
+ */
+router.get("/db/migrations", async (req, res) => {
+  const result = await adminService.getMigrationStatus();
+  res.json(result);
+});
+
+/**
+ * GET /api/admin/training-api
+ * Training API reachability, client circuit breaker and call metrics, and
+ * the sync outbox backlog
+ */
+router.get("/training-api", async (req, res) => {
+  const result = await adminService.checkTrainingApi();
+  res.json(result);
+});
+
+/**
+ * GET /api/admin/agents/by-training-uuid/:uuid
+ * Find the agent a Training API id belongs to (trashed agents included)
+ */
+router.get("/agents/by-training-uuid/:uuid", async (req, res) => {
+  const result = await adminService.findAgentByTrainingUuid(req.params.uuid);
+  res.json(result);
+});
+
+module.exports = router;
@@ -0,0 +1,77 @@
+const express = require("express");
+const router = express.Router();
+const catalogService = require("../services/catalogService");
+const { parseAgentListQuery } = require("../utils/agentQuery");
+const { ValidationError } = require("../utils/errors");
+
+/**
+ * Public, read-only marketplace catalog (no authentication)
+ */
+
+/**
+ * Parse an integer route parameter
+ */
+function parseId(value, name) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id < 1) {
+    throw new ValidationError(`${name} must be a valid number`);
+  }
+  return id;
+}
+
+/**
+ * Reject listing options that make no sense for the public catalog
+ */
+function parseCatalogQuery(query) {
+  const { errors, options } = parseAgentListQuery(query);
+  if (query.include_deleted !== undefined || query.is_active !== undefined) {
+    errors.push("include_deleted and is_active are not supported here");
+  }
+  return { errors, options };
+}
+
+/**
+ * GET /api/catalog/agents
+ * List active agents from all creators, paginated with next_cursor
+ * Query: limit, cursor, q (search), role, model, min_price, max_price,
+ * sort (name|created|updated|price), order (asc|desc)
+ */
+router.get("/agents", async (req, res) => {
+  const { errors, options } = parseCatalogQuery(req.query);
+  if (errors.length > 0) {
+    throw new ValidationError("Validation failed", errors);
+  }
+
+  const result = await catalogService.listPublicAgents(options);
+  res.json(result);
+});
+
+/**
+ * GET /api/catalog/agents/:id
+ * Get a single public agent
+ */
+router.get("/agents/:id", async (req, res) => {
+  const result = await catalogService.getPublicAgent(
+    parseId(req.params.id, "id")
+  );
+  res.json(result);
+});
+
+/**
+ * GET /api/catalog/creators/:creatorId/agents
+ * List one creator's public agents (same query options as /agents)
+ */
+router.get("/creators/:creatorId/agents", async (req, res) => {
+  const { errors, options } = parseCatalogQuery(req.query);
+  if (errors.length > 0) {
+    throw new ValidationError("Validation failed", errors);
+  }
+
+  const result = await catalogService.listCreatorAgents(
+    parseId(req.params.creatorId, "creatorId"),
+    options
+  );
+  res.json(result);
+});
+
+module.exports = router;
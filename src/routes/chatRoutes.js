@@ -0,0 +1,160 @@
+const express = require("express");
+const router = express.Router();
+const chatService = require("../services/chatService");
+const conversationService = require("../services/conversationService");
+const logger = require("../utils/logger");
+const { ValidationError } = require("../utils/errors");
+
+/**
+ * Write one Server-Sent Event
+ */
+function writeEvent(res, data, event) {
+  if (event) res.write(`event: ${event}\n`);
+  res.write(
+    `data: ${typeof data === "string" ? data : JSON.stringify(data)}\n\n`
+  );
+}
+
+/**
+ * Store both turns of an exchange (never fails the response)
+ */
+async function recordExchange(conversationId, userMessage, reply) {
+  if (!conversationId) return;
+
+  try {
+    await conversationService.recordMessage(
+      conversationId,
+      "user",
+      userMessage
+    );
+    await conversationService.recordMessage(
+      conversationId,
+      "assistant",
+      reply.content,
+      reply.completionTokens
+    );
+  } catch (error) {
+    logger.error("Failed to record conversation turns", {
+      conversation_id: conversationId,
+      error,
+    });
+  }
+}
+
+/**
+ * POST /api/agents/:id/chat
+ * Talk to an agent through the Training API
+ * Body: { messages: [{ role: "user" | "assistant", content }], stream }
+ *   or: { conversation_id, message, stream } to continue a stored
+ *       conversation (history is loaded and both turns are recorded)
+ * With stream: true (or Accept: text/event-stream) the reply is streamed
+ * as Server-Sent Events.
+ */
+router.post("/:id/chat", async (req, res) => {
+  const { conversation_id, message } = req.body || {};
+  const stream =
+    req.body?.stream === true ||
+    (req.headers.accept || "").includes("text/event-stream");
+
+  let messages = req.body?.messages;
+  if (conversation_id !== undefined) {
+    messages = [{ role: "user", content: message }];
+  }
+
+  const errors = chatService.validateMessages(messages);
+  if (errors.length > 0) {
+    throw new ValidationError("Validation failed", errors);
+  }
+  const userMessage = messages[messages.length - 1].content;
+
+  // Stop the upstream call if the client goes away
+  const controller = new AbortController();
+  res.on("close", () => controller.abort());
+
+  let upstream;
+  try {
+    const agent = await chatService.getChatAgent(req.user, req.params.id);
+    if (conversation_id !== undefined) {
+      const history = await conversationService.getChatHistory(
+        req.user,
+        conversation_id,
+        agent.id
+      );
+      messages = [...history, ...messages];
+    }
+
+    upstream = await chatService.sendChat(agent, messages, {
+      stream,
+      signal: controller.signal,
+    });
+  } catch (error) {
+    // The client is gone; nobody is left to tell
+    if (controller.signal.aborted) return;
+    throw error;
+  }
+
+  if (!stream) {
+    const data = upstream.data?.data ?? upstream.data;
+    await recordExchange(
+      conversation_id,
+      userMessage,
+      chatService.extractReply(data)
+    );
+    return res.json({
+      success: true,
+      message: "Chat response received",
+      data,
+    });
+  }
+
+  res.writeHead(200, {
+    "Content-Type": "text/event-stream",
+    "Cache-Control": "no-cache",
+    Connection: "keep-alive",
+    "X-Accel-Buffering": "no",
+  });
+
+  const upstreamType = upstream.headers["content-type"] || "";
+  const collector = chatService.createStreamCollector();
+  const chunks = [];
+
+  upstream.data.on("data", (chunk) => {
+    if (upstreamType.includes("text/event-stream")) {
+      // Upstream already speaks SSE - relay it untouched
+      res.write(chunk);
+      collector.push(chunk);
+    } else {
+      chunks.push(chunk);
+    }
+  });
+  upstream.data.on("error", (error) => {
+    if (controller.signal.aborted) return;
+    logger.warn("Chat stream interrupted", { error });
+    writeEvent(res, { message: "Upstream stream interrupted" }, "error");
+    res.end();
+  });
+  upstream.data.on("end", async () => {
+    let reply;
+    if (upstreamType.includes("text/event-stream")) {
+      reply = collector.result();
+    } else {
+      // Non-streaming upstream: send the whole reply as a single event
+      const body = Buffer.concat(chunks).toString("utf8");
+      let data;
+      try {
+        data = JSON.parse(body);
+        data = data?.data ?? data;
+      } catch {
+        data = body;
+      }
+      writeEvent(res, data);
+      writeEvent(res, "[DONE]");
+      reply = chatService.extractReply(data);
+    }
+    res.end();
+
+    await recordExchange(conversation_id, userMessage, reply);
+  });
+});
+
+module.exports = router;
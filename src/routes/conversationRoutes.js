@@ -0,0 +1,72 @@
+const express = require("express");
+const router = express.Router();
+const conversationService = require("../services/conversationService");
+const { parsePageQuery } = require("../utils/cursor");
+const { ValidationError } = require("../utils/errors");
+
+/**
+ * POST /api/conversations
+ * Start a conversation with an agent: { agent_id, title }
+ */
+router.post("/", async (req, res) => {
+  const { agent_id, title = null } = req.body || {};
+  const errors = [];
+  if (!Number.isInteger(agent_id)) errors.push("agent_id must be a number");
+  if (title !== null && (typeof title !== "string" || title.length > 255)) {
+    errors.push("title must be a string of at most 255 characters");
+  }
+  if (errors.length > 0) {
+    throw new ValidationError("Validation failed", errors);
+  }
+
+  const result = await conversationService.createConversation(
+    req.user,
+    agent_id,
+    title
+  );
+  res.status(201).json(result);
+});
+
+/**
+ * GET /api/conversations?agent_id=xxx
+ * Get the authenticated user's conversations
+ */
+router.get("/", async (req, res) => {
+  let agentId;
+  if (req.query.agent_id !== undefined) {
+    agentId = Number(req.query.agent_id);
+    if (!Number.isInteger(agentId)) {
+      throw new ValidationError("agent_id must be a valid number");
+    }
+  }
+
+  const result = await conversationService.listConversations(req.user, agentId);
+  res.json(result);
+});
+
+/**
+ * GET /api/conversations/:id?limit=50&cursor=xxx
+ * Get a conversation with its newest messages (cursor pages to older ones)
+ */
+router.get("/:id", async (req, res) => {
+  const result = await conversationService.getConversation(
+    req.user,
+    req.params.id,
+    parsePageQuery(req.query)
+  );
+  res.json(result);
+});
+
+/**
+ * DELETE /api/conversations/:id
+ * Delete a conversation and its messages
+ */
+router.delete("/:id", async (req, res) => {
+  const result = await conversationService.deleteConversation(
+    req.user,
+    req.params.id
+  );
+  res.json(result);
+});
+
+module.exports = router;
@@ -1,261 +1,297 @@
 const express = require("express");
+const multer = require("multer");
 const router = express.Router();
 const agentService = require("../services/agentService");
-const pool = require("../config/database");
-
-/**
- * DEBUG ENDPOINT - Check database schema and user data
- * GET /api/creator/debug/schema
- */
-router.get("/debug/schema", async (req, res) => {
-  const client = await pool.connect();
-  try {
-    // Check agents table columns
-    const agentsColumns = await client.query(`
-      SELECT column_name, data_type, is_nullable
-      FROM information_schema.columns 
-      WHERE table_name = 'agents'
-      ORDER BY ordinal_position;
-    `);
-
-    // Check users table columns
-    const usersColumns = await client.query(`
-      SELECT column_name, data_type, is_nullable
-      FROM information_schema.columns 
-      WHERE table_name = 'users'
-      ORDER BY ordinal_position;
-    `);
-
-    // Check if any agents exist
-    const agentsCount = await client.query(`SELECT COUNT(*) FROM agents;`);
-
-    // Check if any users exist
-    const usersCount = await client.query(`SELECT COUNT(*) FROM users;`);
-
-    // Sample user data (first record, hide sensitive info)
-    const sampleUser = await client.query(`
-      SELECT id, user_id, name, email, role, created_at 
-      FROM users 
-      LIMIT 1;
-    `);
-
-    res.json({
-      success: true,
-      data: {
-        agents: {
-          columns: agentsColumns.rows,
-          count: parseInt(agentsCount.rows[0].count),
-        },
-        users: {
-          columns: usersColumns.rows,
-          count: parseInt(usersCount.rows[0].count),
-          sample: sampleUser.rows[0] || null,
-        },
-      },
-    });
-  } catch (error) {
-    console.error("Schema check error:", error);
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
-  } finally {
-    client.release();
-  }
-});
+const trainingSyncService = require("../services/trainingSyncService");
+const agentVersionService = require("../services/agentVersionService");
+const purchaseService = require("../services/purchaseService");
+const conversationService = require("../services/conversationService");
+const documentService = require("../services/documentService");
+const trainingJobService = require("../services/trainingJobService");
+const templateService = require("../services/templateService");
+const quotaService = require("../services/quotaService");
+const trainingSyncWorker = require("../workers/trainingSyncWorker");
+const { createLimit } = require("../middleware/rateLimit");
+const { parseAgentListQuery } = require("../utils/agentQuery");
+const { parsePageQuery } = require("../utils/cursor");
+const { validate, fieldError } = require("../utils/schema");
+const {
+  agentSchema,
+  agentUpdateSchema,
+  importRowSchema,
+  templateSchema,
+  agentTemplateSchema,
+} = require("../utils/agentSchema");
+const { agentsToCsv, parseImportRows } = require("../utils/agentTransfer");
+const { AppError, ValidationError } = require("../utils/errors");
 
 /**
- * DEBUG ENDPOINT - Lookup user by email or user_id
- * GET /api/creator/debug/user?email=xxx or ?user_id=xxx
+ * Validate new-agent data and create the agent
+ * Every creation path (direct, from a template, duplicate) goes through here.
  */
-router.get("/debug/user", async (req, res) => {
-  const client = await pool.connect();
-  try {
-    const { email, user_id } = req.query;
+async function createValidatedAgent(req, res, data) {
+  const errors = validate(agentSchema, data);
+  if (errors.length > 0) {
+    throw new ValidationError("Validation failed", errors);
+  }
 
-    if (!email && !user_id) {
-      return res.status(400).json({
-        success: false,
-        message: "Provide either email or user_id query parameter",
-      });
-    }
+  const result = await agentService.createAgent(req.user, data);
+  res.status(201).json(result);
+}
 
-    let query, params;
-    if (email) {
-      query = `SELECT id, user_id, name, email, role, created_at FROM users WHERE email = $1;`;
-      params = [email];
-    } else {
-      query = `SELECT id, user_id, name, email, role, created_at FROM users WHERE user_id = $1;`;
-      params = [user_id];
-    }
+/**
+ * POST /api/creator/agents
+ * Create a new agent for the authenticated creator
+ * (admins may pass creator_id to create on behalf of another creator)
+ */
+router.post("/agents", createLimit, async (req, res) => {
+  await createValidatedAgent(req, res, req.body || {});
+});
 
-    const result = await client.query(query, params);
+/**
+ * GET /api/creator/agents
+ * List the authenticated creator's agents, paginated with next_cursor
+ * Query: limit, cursor, q (search), is_active, role, model, min_price,
+ * max_price, sort (name|created|updated|price), order (asc|desc),
+ * include_deleted; admins may pass creator_id to list another creator
+ */
+router.get("/agents", async (req, res) => {
+  const { errors, options } = parseAgentListQuery(req.query);
+  if (errors.length > 0) {
+    throw new ValidationError("Validation failed", errors);
+  }
 
-    if (result.rows.length === 0) {
-      return res.status(404).json({
-        success: false,
-        message: "User not found",
-      });
-    }
+  const result = await agentService.getAgentsByCreator(
+    req.user,
+    req.query.creator_id,
+    options
+  );
+  res.json(result);
+});
 
-    res.json({
-      success: true,
-      data: result.rows[0],
-      note: "Use the 'id' field (numeric) as creator_id when creating agents",
-    });
-  } catch (error) {
-    console.error("User lookup error:", error);
-    res.status(500).json({
-      success: false,
-      message: error.message,
-    });
-  } finally {
-    client.release();
+/**
+ * GET /api/creator/templates
+ * List system templates and the caller's own templates
+ */
+router.get("/templates", async (req, res) => {
+  const result = await templateService.listTemplates(req.user);
+  res.json(result);
+});
+
+/**
+ * POST /api/creator/templates
+ * Create a template: { name, visibility?, ...agent settings }
+ * (visibility "system" shares it with everyone; admins only)
+ */
+router.post("/templates", async (req, res) => {
+  const errors = validate(templateSchema, req.body);
+  if (errors.length > 0) {
+    throw new ValidationError("Validation failed", errors);
   }
+
+  const result = await templateService.createTemplate(req.user, req.body);
+  res.status(201).json(result);
 });
 
 /**
- * Input validation helper
+ * GET /api/creator/templates/:id
+ * Get a single template
  */
-function validateAgentInput(data, isUpdate = false) {
-  const errors = [];
+router.get("/templates/:id", async (req, res) => {
+  const result = await templateService.getTemplate(req.user, req.params.id);
+  res.json(result);
+});
 
-  if (!isUpdate) {
-    // Required fields for creation
-    if (!data.creator_id) errors.push("creator_id is required");
-    if (!data.name) errors.push("name is required");
-  }
+/**
+ * DELETE /api/creator/templates/:id
+ * Delete one of the caller's templates (admins may delete any)
+ */
+router.delete("/templates/:id", async (req, res) => {
+  const result = await templateService.deleteTemplate(req.user, req.params.id);
+  res.json(result);
+});
 
-  // Validate role if provided
-  if (data.role) {
-    const validRoles = ["free", "paid"];
-    if (!validRoles.includes(data.role)) {
-      errors.push(`role must be one of: ${validRoles.join(", ")}`);
-    }
+/**
+ * POST /api/creator/templates/:id/agents
+ * Create an agent from a template; body fields override the template's
+ */
+router.post("/templates/:id/agents", createLimit, async (req, res) => {
+  const overrides = req.body || {};
+  const errors = validate(agentSchema, overrides, { partial: true });
+  if (errors.length > 0) {
+    throw new ValidationError("Validation failed", errors);
   }
 
-  // Validate temperature if provided
-  if (data.temperature !== undefined) {
-    if (
-      typeof data.temperature !== "number" ||
-      data.temperature < 0 ||
-      data.temperature > 2
-    ) {
-      errors.push("temperature must be a number between 0 and 2");
-    }
-  }
+  const data = await templateService.buildAgentFromTemplate(
+    req.user,
+    req.params.id,
+    overrides
+  );
+  await createValidatedAgent(req, res, data);
+});
 
-  // Validate model if provided
-  if (data.model && typeof data.model !== "string") {
-    errors.push("model must be a string");
-  }
+/**
+ * GET /api/creator/usage
+ * Plan limits and current usage (agents, uploads today) for the
+ * authenticated creator (admins may pass creator_id)
+ */
+router.get("/usage", async (req, res) => {
+  const result = await quotaService.getUsage(req.user, req.query.creator_id);
+  res.json(result);
+});
 
-  // Validate max_tokens if provided
-  if (data.max_tokens !== undefined) {
-    if (typeof data.max_tokens !== "number" || data.max_tokens < 1) {
-      errors.push("max_tokens must be a positive number");
+/**
+ * GET /api/creator/sales
+ * Paid sales totals per agent and currency for the authenticated creator
+ * (?agent_id=xxx restricts to one agent; admins may pass creator_id)
+ */
+router.get("/sales", async (req, res) => {
+  let agentId;
+  if (req.query.agent_id !== undefined) {
+    agentId = Number(req.query.agent_id);
+    if (!Number.isInteger(agentId)) {
+      throw new ValidationError("agent_id must be a valid number");
     }
   }
 
-  return errors;
-}
+  const result = await purchaseService.getSalesTotals(
+    req.user,
+    req.query.creator_id,
+    agentId
+  );
+  res.json(result);
+});
 
 /**
- * POST /api/creator/agents
- * Create a new agent
- */
-router.post("/agents", async (req, res) => {
-  try {
-    const errors = validateAgentInput(req.body);
-    if (errors.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Validation failed",
-        errors,
-      });
-    }
+ * GET /api/creator/agents/export
+ * Download the creator's agents as JSON or CSV (?format=json|csv)
+ * (admins may pass creator_id to export another creator)
+ */
+router.get("/agents/export", async (req, res) => {
+  const format = req.query.format || "json";
+  if (!["json", "csv"].includes(format)) {
+    throw new ValidationError("format must be one of: json, csv");
+  }
 
-    const result = await agentService.createAgent(req.body);
-    res.status(201).json(result);
-  } catch (error) {
-    console.error("Error creating agent:", error);
-    res.status(500).json({
-      success: false,
-      message: error.message || "Failed to create agent",
-    });
+  const result = await agentService.exportAgents(
+    req.user,
+    req.query.creator_id
+  );
+
+  res.attachment(`agents.${format}`);
+  if (format === "csv") {
+    res.type("text/csv").send(agentsToCsv(result.data));
+  } else {
+    res.json(result);
   }
 });
 
 /**
- * GET /api/creator/agents?creator_id=xxx
- * Get all agents for a creator
+ * POST /api/creator/agents/import
+ * Import agents from JSON ({ agents: [...] } or an array) or CSV (text/csv)
+ * Query: dry_run=true reports without saving; upsert=true updates agents
+ * matched by name; admins may pass creator_id. Nothing is saved unless
+ * every row is valid. Bodies may be up to 5mb in either format (the JSON
+ * parser for this path is mounted in app.js, ahead of the default one).
  */
-router.get("/agents", async (req, res) => {
-  try {
-    const { creator_id } = req.query;
-
-    if (!creator_id) {
-      return res.status(400).json({
-        success: false,
-        message: "creator_id query parameter is required",
-      });
+router.post(
+  "/agents/import",
+  createLimit,
+  express.text({ type: "text/csv", limit: "5mb" }),
+  async (req, res) => {
+    const format = req.is("text/csv") ? "csv" : "json";
+    const upsert = req.query.upsert === "true";
+    const dryRun = req.query.dry_run === "true";
+
+    const parsed = parseImportRows(format, req.body);
+    if (parsed.errors.length > 0) {
+      throw new ValidationError("Validation failed", parsed.errors);
     }
 
-    // Convert creator_id to integer
-    const creatorIdInt = parseInt(creator_id);
-    if (isNaN(creatorIdInt)) {
-      return res.status(400).json({
-        success: false,
-        message: "creator_id must be a valid number",
-      });
+    const seen = new Map();
+    for (const row of parsed.rows) {
+      // Upserted rows may rely on the stored agent for cross-field rules,
+      // so importAgents checks those against the merged row
+      if (row.errors.length === 0) {
+        row.errors.push(
+          ...validate(importRowSchema, row.data, { partial: upsert })
+        );
+      }
+      if (upsert && row.data.name === undefined) {
+        row.errors.push(fieldError("name", "required", "name is required"));
+      }
+      if (upsert && typeof row.data.name === "string") {
+        if (seen.has(row.data.name)) {
+          row.errors.push(
+            fieldError(
+              "name",
+              "duplicate",
+              `name duplicates row ${seen.get(row.data.name)} (names must be unique when upserting)`
+            )
+          );
+        }
+        seen.set(row.data.name, row.row);
+      }
     }
 
-    const result = await agentService.getAgentsByCreator(creatorIdInt);
-    res.json(result);
-  } catch (error) {
-    console.error("Error fetching agents:", error);
-    res.status(500).json({
-      success: false,
-      message: error.message || "Failed to fetch agents",
-    });
+    const invalid = parsed.rows
+      .filter((row) => row.errors.length > 0)
+      .map(({ row, errors }) => ({ row, errors }));
+    if (invalid.length > 0) {
+      throw new ValidationError(
+        `Validation failed for ${invalid.length} row(s) - nothing was imported`,
+        invalid
+      );
+    }
+
+    const result = await agentService.importAgents(
+      req.user,
+      req.query.creator_id,
+      parsed.rows.map((row) => row.data),
+      { upsert, dryRun }
+    );
+    res.status(dryRun ? 200 : 201).json(result);
   }
+);
+
+/**
+ * POST /api/creator/agents/resync
+ * Re-queue Training API registration for agents still missing a
+ * training_api_uuid (admins may pass creator_id, or omit it for everyone)
+ */
+router.post("/agents/resync", async (req, res) => {
+  const result = await trainingSyncService.resyncMissingAgents(
+    req.user,
+    req.body?.creator_id ?? req.query.creator_id
+  );
+  trainingSyncWorker.kick();
+  res.status(202).json(result);
+});
+
+/**
+ * GET /api/creator/agents/trash
+ * Get the authenticated creator's trashed agents
+ */
+router.get("/agents/trash", async (req, res) => {
+  const result = await agentService.getTrashedAgents(
+    req.user,
+    req.query.creator_id
+  );
+  res.json(result);
 });
 
 /**
  * GET /api/creator/agents/:id
  * Get a single agent by ID (UUID or integer)
+ * (?include_deleted=true also finds trashed agents)
  */
 router.get("/agents/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { creator_id } = req.query;
-
-    if (!creator_id) {
-      return res.status(400).json({
-        success: false,
-        message: "creator_id query parameter is required",
-      });
-    }
-
-    // Convert creator_id to integer
-    const creatorIdInt = parseInt(creator_id);
-    if (isNaN(creatorIdInt)) {
-      return res.status(400).json({
-        success: false,
-        message: "creator_id must be a valid number",
-      });
-    }
+  const { id } = req.params;
 
-    const result = await agentService.getAgentById(id, creatorIdInt);
-    res.json(result);
-  } catch (error) {
-    console.error("Error fetching agent:", error);
-    const status = error.message.includes("not found") ? 404 : 500;
-    res.status(status).json({
-      success: false,
-      message: error.message || "Failed to fetch agent",
-    });
-  }
+  const result = await agentService.getAgentById(id, req.user, {
+    includeDeleted: req.query.include_deleted === "true",
+  });
+  res.json(result);
 });
 
 /**
@@ -263,82 +299,325 @@ router.get("/agents/:id", async (req, res) => {
  * Update an agent
  */
 router.put("/agents/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { creator_id, ...updates } = req.body;
-
-    if (!creator_id) {
-      return res.status(400).json({
-        success: false,
-        message: "creator_id is required in request body",
-      });
-    }
+  const { id } = req.params;
+  const updates = req.body || {};
+
+  // Cross-field rules need the stored agent, so the service checks them
+  const errors = validate(agentUpdateSchema, updates, { partial: true });
+  if (errors.length === 0 && Object.keys(updates).length === 0) {
+    errors.push(
+      fieldError(null, "required", "body must include a field to update")
+    );
+  }
+  if (errors.length > 0) {
+    throw new ValidationError("Validation failed", errors);
+  }
 
-    // Convert creator_id to integer
-    const creatorIdInt = parseInt(creator_id);
-    if (isNaN(creatorIdInt)) {
-      return res.status(400).json({
-        success: false,
-        message: "creator_id must be a valid number",
-      });
-    }
+  const result = await agentService.updateAgent(id, req.user, updates);
+  res.json(result);
+});
 
-    const errors = validateAgentInput(updates, true);
-    if (errors.length > 0) {
-      return res.status(400).json({
-        success: false,
-        message: "Validation failed",
-        errors,
-      });
-    }
+/**
+ * DELETE /api/creator/agents/:id
+ * Move an agent to the trash
+ */
+router.delete("/agents/:id", async (req, res) => {
+  const { id } = req.params;
 
-    const result = await agentService.updateAgent(id, creatorIdInt, updates);
-    res.json(result);
-  } catch (error) {
-    console.error("Error updating agent:", error);
-    const status = error.message.includes("not found") ? 404 : 500;
-    res.status(status).json({
-      success: false,
-      message: error.message || "Failed to update agent",
-    });
+  const result = await agentService.deleteAgent(id, req.user);
+  res.json(result);
+});
+
+/**
+ * POST /api/creator/agents/:id/restore
+ * Restore an agent from the trash
+ */
+router.post("/agents/:id/restore", async (req, res) => {
+  const result = await agentService.restoreAgent(req.params.id, req.user);
+  res.json(result);
+});
+
+/**
+ * POST /api/creator/agents/:id/prompt/preview
+ * Render the agent's system_prompt: { variables?, system_prompt? }
+ * (variables override the defaults; system_prompt previews an unsaved draft)
+ */
+router.post("/agents/:id/prompt/preview", async (req, res) => {
+  const { variables, system_prompt } = req.body || {};
+  if (system_prompt !== undefined && typeof system_prompt !== "string") {
+    throw new ValidationError("system_prompt must be a string");
   }
+
+  const result = await agentService.previewPrompt(req.params.id, req.user, {
+    variables,
+    system_prompt,
+  });
+  res.json(result);
 });
 
 /**
- * DELETE /api/creator/agents/:id
- * Delete an agent
+ * POST /api/creator/agents/:id/template
+ * Save an agent's configuration as a template: { name?, description?, visibility? }
  */
-router.delete("/agents/:id", async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { creator_id } = req.query;
-
-    if (!creator_id) {
-      return res.status(400).json({
-        success: false,
-        message: "creator_id query parameter is required",
-      });
-    }
+router.post("/agents/:id/template", async (req, res) => {
+  const options = req.body || {};
+  const errors = validate(agentTemplateSchema, options, { partial: true });
+  if (errors.length > 0) {
+    throw new ValidationError("Validation failed", errors);
+  }
 
-    // Convert creator_id to integer
-    const creatorIdInt = parseInt(creator_id);
-    if (isNaN(creatorIdInt)) {
-      return res.status(400).json({
-        success: false,
-        message: "creator_id must be a valid number",
-      });
-    }
+  const result = await templateService.saveAgentAsTemplate(
+    req.params.id,
+    req.user,
+    options
+  );
+  res.status(201).json(result);
+});
 
-    const result = await agentService.deleteAgent(id, creatorIdInt);
-    res.json(result);
-  } catch (error) {
-    console.error("Error deleting agent:", error);
-    const status = error.message.includes("not found") ? 404 : 500;
-    res.status(status).json({
-      success: false,
-      message: error.message || "Failed to delete agent",
+/**
+ * POST /api/creator/agents/:id/duplicate
+ * Create a copy of an agent; body fields override the copied ones
+ */
+router.post("/agents/:id/duplicate", createLimit, async (req, res) => {
+  const overrides = req.body || {};
+  const errors = validate(agentSchema, overrides, { partial: true });
+  if (errors.length > 0) {
+    throw new ValidationError("Validation failed", errors);
+  }
+
+  const data = await agentService.buildDuplicateAgent(
+    req.params.id,
+    req.user,
+    overrides
+  );
+  await createValidatedAgent(req, res, data);
+});
+
+/**
+ * GET /api/creator/agents/:id/conversations
+ * Read-only, anonymized list of users' conversations with an agent
+ */
+router.get("/agents/:id/conversations", async (req, res) => {
+  const result = await conversationService.listAgentConversations(
+    req.user,
+    req.params.id
+  );
+  res.json(result);
+});
+
+/**
+ * GET /api/creator/agents/:id/conversations/:conversationId
+ * Read-only, anonymized conversation with an agent (paginated messages)
+ */
+router.get("/agents/:id/conversations/:conversationId", async (req, res) => {
+  const result = await conversationService.getAgentConversation(
+    req.user,
+    req.params.id,
+    req.params.conversationId,
+    parsePageQuery(req.query)
+  );
+  res.json(result);
+});
+
+/**
+ * POST /api/creator/agents/:id/training-jobs
+ * Start retraining an agent on the Training API
+ */
+router.post("/agents/:id/training-jobs", async (req, res) => {
+  const result = await trainingJobService.startTraining(
+    req.params.id,
+    req.user
+  );
+  res.status(202).json(result);
+});
+
+/**
+ * GET /api/creator/agents/:id/training-jobs
+ * Get an agent's training job history
+ */
+router.get("/agents/:id/training-jobs", async (req, res) => {
+  const result = await trainingJobService.listTrainingJobs(
+    req.params.id,
+    req.user
+  );
+  res.json(result);
+});
+
+// Documents are buffered in memory and streamed on to S3 by the service
+const documentUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: documentService.MAX_DOCUMENT_BYTES, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const fileError = documentService.checkDocumentFile(file);
+    cb(fileError ? new ValidationError(fileError) : null, !fileError);
+  },
+}).single("file");
+
+/**
+ * Run the multipart parser, mapping its errors onto typed errors
+ */
+function receiveDocument(req, res) {
+  return new Promise((resolve, reject) => {
+    documentUpload(req, res, (error) => {
+      if (error instanceof multer.MulterError) {
+        return reject(
+          error.code === "LIMIT_FILE_SIZE"
+            ? new AppError(
+                `file must be at most ${documentService.MAX_DOCUMENT_BYTES} bytes`,
+                { status: 413, code: "payload_too_large" }
+              )
+            : new ValidationError(
+                `file must be a single multipart field named "file" (${error.message})`
+              )
+        );
+      }
+      if (error) return reject(error);
+      resolve();
     });
+  });
+}
+
+/**
+ * POST /api/creator/agents/:id/documents
+ * Upload a knowledge-base document (multipart field "file")
+ */
+router.post("/agents/:id/documents", async (req, res) => {
+  await receiveDocument(req, res);
+  if (!req.file) {
+    throw new ValidationError(
+      'file must be uploaded as multipart field "file"'
+    );
   }
+
+  const result = await documentService.uploadDocument(
+    req.params.id,
+    req.user,
+    req.file
+  );
+  res.status(201).json(result);
+});
+
+/**
+ * GET /api/creator/agents/:id/documents
+ * List an agent's knowledge-base documents
+ */
+router.get("/agents/:id/documents", async (req, res) => {
+  const result = await documentService.listDocuments(req.params.id, req.user);
+  res.json(result);
+});
+
+/**
+ * POST /api/creator/agents/:id/documents/:documentId/resubmit
+ * Send a stored document to the Training API again
+ */
+router.post("/agents/:id/documents/:documentId/resubmit", async (req, res) => {
+  const result = await documentService.resubmitDocument(
+    req.params.id,
+    req.user,
+    req.params.documentId
+  );
+  res.json(result);
+});
+
+/**
+ * DELETE /api/creator/agents/:id/documents/:documentId
+ * Delete a knowledge-base document
+ */
+router.delete("/agents/:id/documents/:documentId", async (req, res) => {
+  const result = await documentService.deleteDocument(
+    req.params.id,
+    req.user,
+    req.params.documentId
+  );
+  res.json(result);
+});
+
+/**
+ * PUT /api/creator/agents/:id/voice
+ * Attach one of the creator's saved voices to an agent (voice_id: null detaches)
+ */
+router.put("/agents/:id/voice", async (req, res) => {
+  const { id } = req.params;
+  const { voice_id } = req.body || {};
+
+  if (voice_id === undefined) {
+    throw new ValidationError(
+      "voice_id is required in request body (null to detach)"
+    );
+  }
+
+  if (voice_id !== null && typeof voice_id !== "string") {
+    throw new ValidationError("voice_id must be a string or null");
+  }
+
+  const result = await agentService.setAgentVoice(id, req.user, voice_id);
+  res.json(result);
+});
+
+/**
+ * Parse a revision number from params/query
+ */
+function parseVersion(value, name = "version") {
+  const version = Number(value);
+  if (!Number.isInteger(version) || version < 1) {
+    throw new ValidationError(`${name} must be a positive integer`);
+  }
+  return version;
+}
+
+/**
+ * GET /api/creator/agents/:id/versions
+ * List an agent's config revisions
+ */
+router.get("/agents/:id/versions", async (req, res) => {
+  const result = await agentVersionService.listVersions(
+    req.params.id,
+    req.user
+  );
+  res.json(result);
+});
+
+/**
+ * GET /api/creator/agents/:id/versions/diff?from=1&to=2
+ * Field-level diff between two revisions
+ */
+router.get("/agents/:id/versions/diff", async (req, res) => {
+  const from = parseVersion(req.query.from, "from");
+  const to = parseVersion(req.query.to, "to");
+
+  const result = await agentVersionService.diffVersions(
+    req.params.id,
+    req.user,
+    from,
+    to
+  );
+  res.json(result);
+});
+
+/**
+ * GET /api/creator/agents/:id/versions/:version
+ * Get a single revision with its full config
+ */
+router.get("/agents/:id/versions/:version", async (req, res) => {
+  const result = await agentVersionService.getVersion(
+    req.params.id,
+    req.user,
+    parseVersion(req.params.version)
+  );
+  res.json(result);
+});
+
+/**
+ * POST /api/creator/agents/:id/versions/:version/rollback
+ * Restore an agent to an earlier revision (also pushed to the Training API)
+ */
+router.post("/agents/:id/versions/:version/rollback", async (req, res) => {
+  const result = await agentService.rollbackAgent(
+    req.params.id,
+    req.user,
+    parseVersion(req.params.version)
+  );
+  res.json(result);
 });
 
 module.exports = router;
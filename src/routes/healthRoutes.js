@@ -0,0 +1,24 @@
+const express = require("express");
+const router = express.Router();
+const healthService = require("../services/healthService");
+
+/**
+ * GET /api/health/live
+ * Liveness probe: answers as long as the process is serving requests
+ */
+router.get("/live", (req, res) => {
+  res.json(healthService.getLiveness());
+});
+
+/**
+ * GET /api/health/ready
+ * Readiness probe: database, Training API and (when configured) S3 checks
+ * with per-dependency status and latency; 503 while any of them is down or
+ * the server is shutting down
+ */
+router.get("/ready", async (req, res) => {
+  const result = await healthService.getReadiness();
+  res.status(result.ready ? 200 : 503).json(result);
+});
+
+module.exports = router;
@@ -0,0 +1,28 @@
+const crypto = require("crypto");
+const express = require("express");
+const router = express.Router();
+const metricsService = require("../services/metricsService");
+const { UnauthorizedError } = require("../utils/errors");
+
+/**
+ * GET /metrics
+ * Prometheus scrape endpoint, mounted only when METRICS_TOKEN is set (404
+ * otherwise). Scrapers send the token as a bearer token (Prometheus
+ * `authorization` config); each scrape runs aggregate queries and exposes
+ * business figures, so it is never served unauthenticated.
+ */
+router.get("/", async (req, res) => {
+  const presented = Buffer.from(req.get("authorization") || "");
+  const expected = Buffer.from(`Bearer ${process.env.METRICS_TOKEN}`);
+  if (
+    presented.length !== expected.length ||
+    !crypto.timingSafeEqual(presented, expected)
+  ) {
+    throw new UnauthorizedError("Invalid metrics token");
+  }
+
+  const { contentType, body } = await metricsService.render();
+  res.set("Content-Type", contentType).send(body);
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require("express");
+const router = express.Router();
+const purchaseService = require("../services/purchaseService");
+const payments = require("../payments");
+const { authenticate } = require("../middleware/auth");
+const { ipLimit, userLimit } = require("../middleware/rateLimit");
+const { ValidationError } = require("../utils/errors");
+
+/**
+ * POST /api/purchases/webhooks/:provider
+ * Payment confirmation from a provider (authenticated by its signature)
+ */
+router.post("/webhooks/:provider", async (req, res) => {
+  const provider = payments.getProvider(req.params.provider);
+  const event = provider.parseWebhook(req);
+
+  const result = await purchaseService.confirmPayment(provider.name, event);
+  res.json(result);
+});
+
+// Everything below acts for the authenticated buyer
+router.use(ipLimit, authenticate, userLimit);
+
+/**
+ * POST /api/purchases
+ * Start buying a paid agent: { agent_id }
+ */
+router.post("/", async (req, res) => {
+  const agentId = Number(req.body?.agent_id);
+  if (!Number.isInteger(agentId) || agentId < 1) {
+    throw new ValidationError("Validation failed", [
+      "agent_id must be a valid number",
+    ]);
+  }
+
+  const result = await purchaseService.startPurchase(req.user, agentId);
+  res.status(201).json(result);
+});
+
+/**
+ * GET /api/purchases
+ * Get the authenticated user's orders
+ */
+router.get("/", async (req, res) => {
+  const result = await purchaseService.getOrders(req.user);
+  res.json(result);
+});
+
+/**
+ * GET /api/purchases/access/:agentId
+ * Check whether the authenticated user may use an agent
+ */
+router.get("/access/:agentId", async (req, res) => {
+  const result = await purchaseService.checkAccess(
+    req.user,
+    req.params.agentId
+  );
+  res.json(result);
+});
+
+module.exports = router;
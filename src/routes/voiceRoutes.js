@@ -0,0 +1,66 @@
+const express = require("express");
+const router = express.Router();
+const voiceService = require("../services/voiceService");
+const { resolveUserId } = require("../utils/identity");
+const { ValidationError } = require("../utils/errors");
+
+/**
+ * Input validation helper
+ */
+function validateVoiceInput(data) {
+  const errors = [];
+
+  if (!data.voice_id) {
+    errors.push("voice_id is required");
+  } else if (typeof data.voice_id !== "string") {
+    errors.push("voice_id must be a string");
+  } else if (data.voice_id.length > 255) {
+    errors.push("voice_id must be at most 255 characters");
+  }
+
+  return errors;
+}
+
+/**
+ * POST /api/creator/voices
+ * Save a built-in voice for the authenticated user
+ * (admins may pass user_id to act for another user)
+ */
+router.post("/", async (req, res) => {
+  const errors = validateVoiceInput(req.body || {});
+  if (errors.length > 0) {
+    throw new ValidationError("Validation failed", errors);
+  }
+
+  const userId = resolveUserId(req.user, req.body.user_id);
+  const { created, ...result } = await voiceService.cloneBuiltInVoice(
+    userId,
+    req.body.voice_id
+  );
+  res.status(created ? 201 : 200).json(result);
+});
+
+/**
+ * GET /api/creator/voices
+ * Get all saved voices for the authenticated user
+ */
+router.get("/", async (req, res) => {
+  const userId = resolveUserId(req.user, req.query.user_id);
+
+  const result = await voiceService.getUserVoices(userId);
+  res.json(result);
+});
+
+/**
+ * DELETE /api/creator/voices/:voiceId
+ * Delete a saved voice (must not be attached to any agent)
+ */
+router.delete("/:voiceId", async (req, res) => {
+  const { voiceId } = req.params;
+  const userId = resolveUserId(req.user, req.query.user_id);
+
+  const result = await voiceService.deleteUserVoice(userId, voiceId);
+  res.json(result);
+});
+
+module.exports = router;
@@ -0,0 +1,17 @@
+const express = require("express");
+const router = express.Router();
+const trainingJobService = require("../services/trainingJobService");
+
+/**
+ * POST /api/webhooks/training
+ * Training job progress from the Training API (authenticated by signature):
+ * { job_id, agent_id?, status, progress?, error? }
+ */
+router.post("/training", async (req, res) => {
+  const event = trainingJobService.parseWebhook(req);
+
+  const result = await trainingJobService.applyWebhookEvent(event);
+  res.json(result);
+});
+
+module.exports = router;
@@ -0,0 +1,93 @@
+/**
+ * Schema migration CLI
+ *
+ *   node src/scripts/migrate.js [up] [--to <name>] [--dry-run]
+ *   node src/scripts/migrate.js down [--steps <n> | --to <name>] [--dry-run]
+ *   node src/scripts/migrate.js status
+ *
+ * Connects with POSTGRES_DB like the service does.
+ */
+require("dotenv").config();
+const pool = require("../config/database");
+const migrator = require("../db/migrator");
+
+const USAGE = `Usage: migrate.js [up|down|status] [--dry-run] [--to <name>] [--steps <n>]`;
+
+/**
+ * Parse argv into { command, dryRun, to, steps }
+ */
+function parseArgs(argv) {
+  const options = { command: "up", dryRun: false };
+  const args = [...argv];
+
+  if (args[0] && !args[0].startsWith("--")) {
+    options.command = args.shift();
+  }
+
+  while (args.length > 0) {
+    const arg = args.shift();
+    if (arg === "--dry-run") {
+      options.dryRun = true;
+    } else if (arg === "--to") {
+      options.to = args.shift();
+      if (!options.to) throw new Error("--to must be followed by a name");
+    } else if (arg === "--steps") {
+      options.steps = Number(args.shift());
+      if (!Number.isInteger(options.steps) || options.steps < 1) {
+        throw new Error("--steps must be a positive integer");
+      }
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (!["up", "down", "status"].includes(options.command)) {
+    throw new Error(`Unknown command: ${options.command}`);
+  }
+
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+
+  if (options.command === "status") {
+    const rows = await migrator.status(pool);
+    for (const row of rows) {
+      const state = row.applied
+        ? `applied ${row.applied_at.toISOString()}`
+        : "pending";
+      console.log(
+        `${row.name.padEnd(32)} ${state}${row.modified ? " (modified)" : ""}`
+      );
+    }
+    const pending = rows.filter((row) => !row.applied).length;
+    console.log(`\n${rows.length - pending} applied, ${pending} pending`);
+    return;
+  }
+
+  const run =
+    options.command === "up" ? migrator.migrateUp : migrator.migrateDown;
+  const names = await run(pool, options);
+
+  if (names.length === 0) {
+    console.log(
+      options.command === "up" ? "Database is up to date" : "Nothing to revert"
+    );
+  } else if (options.dryRun) {
+    console.log(
+      `Dry run: ${names.length} migration(s) would be ${
+        options.command === "up" ? "applied" : "reverted"
+      }`
+    );
+  }
+}
+
+main()
+  .then(() => pool.end())
+  .catch(async (error) => {
+    console.error(error.message);
+    if (error.message.startsWith("Unknown")) console.error(USAGE);
+    await pool.end().catch(() => {});
+    process.exitCode = 1;
+  });
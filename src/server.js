@@ -1,8 +1,75 @@
 require("dotenv").config();
 const app = require("./app");
+const pool = require("./config/database");
+const logger = require("./utils/logger");
+const healthService = require("./services/healthService");
+const trainingSyncWorker = require("./workers/trainingSyncWorker");
+const agentPurgeWorker = require("./workers/agentPurgeWorker");
 
 const PORT = process.env.PORT;
+// Time to let load balancers see the failing readiness probe before the
+// listener closes (match the probe period when running behind one)
+const SHUTDOWN_DELAY_MS = parseInt(process.env.SHUTDOWN_DELAY_MS) || 0;
+// Hard limit for draining; keep it below the platform's kill timeout
+const SHUTDOWN_TIMEOUT_MS = parseInt(process.env.SHUTDOWN_TIMEOUT_MS) || 25000;
 
-app.listen(PORT, "::", () => {
-  console.log(`Server listening on [::]${PORT}`);
+const server = app.listen(PORT, "::", () => {
+  logger.info("Server listening", { port: PORT });
+
+  if (process.env.TRAINING_SYNC_ENABLED !== "false") {
+    trainingSyncWorker.start();
+  }
+
+  if (process.env.AGENT_PURGE_ENABLED !== "false") {
+    agentPurgeWorker.start();
+  }
 });
+
+let shuttingDown = false;
+
+/**
+ * Graceful shutdown: fail readiness, stop the workers, stop accepting
+ * connections, let in-flight requests finish, then close the pool.
+ * Exits with 1 if draining outlives SHUTDOWN_TIMEOUT_MS.
+ * @param {String} signal - Signal that triggered it
+ */
+async function shutdown(signal) {
+  if (shuttingDown) return;
+  shuttingDown = true;
+  logger.info("Shutting down", {
+    signal,
+    delay_ms: SHUTDOWN_DELAY_MS,
+    timeout_ms: SHUTDOWN_TIMEOUT_MS,
+  });
+
+  const deadline = setTimeout(() => {
+    logger.error("Shutdown timed out, exiting with requests in flight", {
+      timeout_ms: SHUTDOWN_TIMEOUT_MS,
+    });
+    process.exit(1);
+  }, SHUTDOWN_TIMEOUT_MS);
+  deadline.unref();
+
+  healthService.markDraining();
+  await new Promise((resolve) => setTimeout(resolve, SHUTDOWN_DELAY_MS));
+
+  // close() waits for open connections; keep-alive ones are dropped as soon
+  // as they are idle, i.e. once their in-flight response has been sent
+  const closed = new Promise((resolve) => server.close(resolve));
+  const closeIdle = setInterval(() => server.closeIdleConnections(), 100);
+  await Promise.all([trainingSyncWorker.stop(), agentPurgeWorker.stop()]);
+  await closed;
+  clearInterval(closeIdle);
+
+  try {
+    await pool.end();
+  } catch (error) {
+    logger.error("Failed to close the database pool", { error });
+  }
+
+  clearTimeout(deadline);
+  logger.info("Shutdown complete");
+}
+
+process.once("SIGTERM", () => shutdown("SIGTERM"));
+process.once("SIGINT", () => shutdown("SIGINT"));
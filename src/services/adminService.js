@@ -0,0 +1,196 @@
+const pool = require("../config/database");
+const migrator = require("../db/migrator");
+const healthService = require("./healthService");
+const trainingApi = require("../utils/trainingApiClient");
+const { NotFoundError } = require("../utils/errors");
+
+const USER_COLUMNS = "id, user_id, name, email, role, created_at";
+
+/**
+ * Columns and row counts of the core tables
+ * @returns {Promise<Object>} { agents, users }
+ */
+async function getSchemaOverview() {
+  const client = await pool.connect();
+
+  try {
+    const data = {};
+    for (const table of ["agents", "users"]) {
+      const columns = await client.query(
+        `SELECT column_name, data_type, is_nullable
+         FROM information_schema.columns
+         WHERE table_schema = current_schema() AND table_name = $1
+         ORDER BY ordinal_position;`,
+        [table]
+      );
+      const count = await client.query(`SELECT COUNT(*) FROM ${table};`);
+      data[table] = {
+        columns: columns.rows,
+        count: parseInt(count.rows[0].count),
+      };
+    }
+
+    return {
+      success: true,
+      message: "Schema retrieved successfully",
+      data,
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Look up a user by email or external user_id
+ * @param {Object} query - { email } or { user_id }
+ * @returns {Promise<Object>} User
+ */
+async function findUser({ email, user_id }) {
+  const client = await pool.connect();
+
+  try {
+    const result = email
+      ? await client.query(
+          `SELECT ${USER_COLUMNS} FROM users WHERE email = $1;`,
+          [email]
+        )
+      : await client.query(
+          `SELECT ${USER_COLUMNS} FROM users WHERE user_id = $1;`,
+          [user_id]
+        );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError("User not found");
+    }
+
+    return {
+      success: true,
+      message: "User retrieved successfully",
+      data: result.rows[0],
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Connection pool usage
+ * @returns {Object} { total, idle, waiting, max }
+ */
+function getPoolStats() {
+  return {
+    success: true,
+    message: "Pool stats retrieved successfully",
+    data: {
+      total: pool.totalCount,
+      idle: pool.idleCount,
+      waiting: pool.waitingCount,
+      max: pool.options.max,
+    },
+  };
+}
+
+/**
+ * Applied and pending schema migrations
+ * @returns {Promise<Object>} Migrations in order
+ */
+async function getMigrationStatus() {
+  const migrations = await migrator.status(pool);
+
+  return {
+    success: true,
+    message: "Migration status retrieved successfully",
+    data: {
+      pending: migrations.filter((m) => !m.applied).length,
+      modified: migrations.filter((m) => m.modified).length,
+      migrations,
+    },
+  };
+}
+
+/**
+ * Probe the Training API and summarize the client's circuit breaker, call
+ * metrics and the sync outbox backlog
+ * @returns {Promise<Object>} { training_api, client, outbox }
+ */
+async function checkTrainingApi() {
+  const probe = await healthService.checkTrainingApi();
+
+  const client = await pool.connect();
+  try {
+    const result = await client.query(
+      `SELECT status, COUNT(*)::int AS count, MIN(created_at) AS oldest
+       FROM training_sync_outbox
+       WHERE status <> 'done'
+       GROUP BY status;`
+    );
+
+    const outbox = { pending: 0, processing: 0, failed: 0, oldest: null };
+    for (const row of result.rows) {
+      outbox[row.status] = row.count;
+      if (!outbox.oldest || row.oldest < outbox.oldest) {
+        outbox.oldest = row.oldest;
+      }
+    }
+
+    return {
+      success: true,
+      message: `Training API is ${probe.status}`,
+      data: {
+        training_api: probe,
+        client: trainingApi.getStats(),
+        outbox,
+      },
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Find the agent behind a Training API id (including trashed agents)
+ * @param {String} trainingApiUuid - agents.training_api_uuid
+ * @returns {Promise<Object>} Agent with its creator's identifiers
+ */
+async function findAgentByTrainingUuid(trainingApiUuid) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT a.*, u.user_id AS creator_user_id, u.email AS creator_email
+       FROM agents a
+       LEFT JOIN users u ON u.id = a.creator_id
+       WHERE a.training_api_uuid = $1;`,
+      [trainingApiUuid]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError("Agent not found");
+    }
+
+    return {
+      success: true,
+      message: "Agent retrieved successfully",
+      data: result.rows[0],
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  getSchemaOverview,
+  findUser,
+  getPoolStats,
+  getMigrationStatus,
+  checkTrainingApi,
+  findAgentByTrainingUuid,
+};
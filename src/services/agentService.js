@@ -1,129 +1,213 @@
 const pool = require("../config/database");
-const axiosWithRetry = require("../utils/axiosWithRetry");
+const trainingSyncService = require("./trainingSyncService");
+const trainingSyncWorker = require("../workers/trainingSyncWorker");
+const agentVersionService = require("./agentVersionService");
+const documentService = require("./documentService");
+const trainingJobService = require("./trainingJobService");
+const quotaService = require("./quotaService");
+const { resolveCreatorId, ownerScope } = require("../utils/identity");
+const { buildListQuery, paginate } = require("../utils/agentQuery");
+const {
+  validateVariables,
+  validatePrompt,
+  renderPrompt,
+} = require("../utils/promptTemplate");
+const { checkRules } = require("../utils/schema");
+const logger = require("../utils/logger");
+const { agentSchema } = require("../utils/agentSchema");
+const { NotFoundError, ValidationError } = require("../utils/errors");
 
-const TRAINING_API_URL =
-  process.env.TRAINING_API_URL || "https://training-service.vercel.app";
+// Fields mirrored to the Training API; changing any of them queues a sync
+const SYNCED_FIELDS = [
+  "name",
+  "description",
+  "personality_name",
+  "tone",
+  "trait_array",
+  "system_prompt",
+  // Rendered into system_prompt before it is sent
+  "prompt_variables",
+  "model",
+  "temperature",
+  "max_tokens",
+];
+
+// Fields creators may edit; each change is captured in agent_versions
+const UPDATABLE_FIELDS = [
+  ...SYNCED_FIELDS,
+  "is_active",
+  "role",
+  "price_amount",
+  "price_currency",
+];
+
+// How long soft-deleted agents stay restorable before the purge job
+const TRASH_RETENTION_DAYS =
+  parseInt(process.env.AGENT_TRASH_RETENTION_DAYS) || 30;
+
+const AGENT_COLUMNS = `
+  id, creator_id, name, description, personality_name, tone,
+  trait_array, system_prompt, prompt_variables, model, temperature,
+  max_tokens, is_active, role, price_amount, price_currency, training_api_uuid,
+  voice_id, sync_status, sync_error, synced_at, created_at, updated_at,
+  deleted_at
+`;
 
 /**
- * Create a new agent
+ * Snapshot the editable fields of an agent row for versioning
+ * @param {Object} agent - Row from the agents table
+ * @returns {Object} Config snapshot
+ */
+function snapshotConfig(agent) {
+  const config = {};
+  for (const field of UPDATABLE_FIELDS) {
+    config[field] = agent[field] ?? null;
+  }
+  // pg returns NUMERIC as strings; keep snapshots comparable
+  for (const field of ["temperature", "price_amount"]) {
+    if (config[field] !== null) config[field] = Number(config[field]);
+  }
+  return config;
+}
+
+/**
+ * List the fields whose value differs between two config snapshots
+ */
+function changedFields(before, after) {
+  return UPDATABLE_FIELDS.filter(
+    (field) => JSON.stringify(before[field]) !== JSON.stringify(after[field])
+  );
+}
+
+/**
+ * Enforce the cross-field agent rules (paid needs a price, placeholders must
+ * be defined) on the agent as it will be stored
+ * @param {Object} agent - Stored row merged with the incoming fields
+ * @param {Array<String>} [touched] - Fields being changed (default: all rules)
+ */
+function assertAgentRules(agent, touched) {
+  const errors = checkRules(agentSchema, agent, touched);
+  if (errors.length > 0) {
+    throw new ValidationError(
+      errors.map((error) => error.message).join("; "),
+      errors
+    );
+  }
+}
+
+/**
+ * Insert an agent with its first revision and Training API registration event
+ * Runs on the caller's client inside its open transaction.
+ * @param {Object} client - pg client inside an open transaction
+ * @param {Object} identity - Authenticated caller (the revision author)
+ * @param {Number} creator_id - Resolved owner of the agent
  * @param {Object} agentData - Agent data
- * @returns {Promise<Object>} Created agent
+ * @returns {Promise<Object>} Created agent row
  */
-async function createAgent(agentData) {
-  const client = await pool.connect();
+async function insertAgent(client, identity, creator_id, agentData) {
+  const {
+    name,
+    description = null,
+    personality_name = null,
+    tone = null,
+    trait_array = null,
+    system_prompt = null,
+    prompt_variables = {},
+    model = "gpt-4",
+    temperature = 0.7,
+    max_tokens = 2000,
+    is_active = true,
+    role = "free",
+    price_amount = null,
+    price_currency = "USD",
+  } = agentData;
 
-  try {
-    const {
-      creator_id,
-      name,
-      description = null,
-      personality_name = null,
-      tone = null,
-      trait_array = null,
-      system_prompt = null,
-      model = "gpt-4",
-      temperature = 0.7,
-      max_tokens = 2000,
-      is_active = true,
-      role = "free",
-      price_amount = null,
-      price_currency = "USD",
-    } = agentData;
-
-    // Validate required fields
-    if (!creator_id || !name) {
-      throw new Error("creator_id and name are required");
-    }
+  // Validate required fields
+  if (!creator_id || !name) {
+    throw new ValidationError("creator_id and name are required");
+  }
 
-    // Validate role
-    const validRoles = ["free", "paid"];
-    if (!validRoles.includes(role)) {
-      throw new Error(`Invalid role. Must be one of: ${validRoles.join(", ")}`);
-    }
+  // Validate role
+  const validRoles = ["free", "paid"];
+  if (!validRoles.includes(role)) {
+    throw new ValidationError(
+      `Invalid role. Must be one of: ${validRoles.join(", ")}`
+    );
+  }
 
-    // Register agent with Training API first
-    let trainingApiUuid = null;
-    try {
-      const trainingApiPayload = {
-        name,
-        description: description || `AI Agent: ${name}`,
-        personality_name: personality_name || "default",
-        tone: tone || "professional",
-        trait_array: trait_array || [],
-        system_prompt:
-          system_prompt || `You are ${name}, a helpful AI assistant.`,
-        model,
-        temperature,
-        max_tokens,
-      };
-
-      console.log(
-        `Registering agent with Training API: ${TRAINING_API_URL}/api/agents`
-      );
-      const trainingResponse = await axiosWithRetry.post(
-        `${TRAINING_API_URL}/api/agents`,
-        trainingApiPayload
-      );
+  assertAgentRules({ role, price_amount, system_prompt, prompt_variables });
+  await quotaService.assertAgentQuota(client, creator_id);
 
-      // Extract UUID from Training API response
-      trainingApiUuid =
-        trainingResponse.data?.data?.agent_id ||
-        trainingResponse.data?.agent_id;
-      console.log(
-        `Training API registered agent with UUID: ${trainingApiUuid}`
-      );
-    } catch (trainingError) {
-      console.error(
-        "Failed to register with Training API:",
-        trainingError.message
-      );
-      // Continue with agent creation even if Training API fails
-      // This prevents blocking agent creation if Training service is down
-    }
+  const query = `
+    INSERT INTO agents (
+      creator_id, name, description, personality_name, tone,
+      trait_array, system_prompt, prompt_variables, model, temperature,
+      max_tokens, is_active, role, price_amount, price_currency
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
+    RETURNING ${AGENT_COLUMNS};
+  `;
 
-    const query = `
-      INSERT INTO agents (
-        creator_id, name, description, personality_name, tone,
-        trait_array, system_prompt, model, temperature, max_tokens,
-        is_active, role, price_amount, price_currency, training_api_uuid
-      )
-      VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15)
-      RETURNING 
-        id, creator_id, name, description, personality_name, tone,
-        trait_array, system_prompt, model, temperature, max_tokens,
-        is_active, role, price_amount, price_currency, training_api_uuid,
-        created_at, updated_at;
-    `;
+  const values = [
+    creator_id,
+    name,
+    description,
+    personality_name,
+    tone,
+    trait_array,
+    system_prompt,
+    prompt_variables,
+    model,
+    temperature,
+    max_tokens,
+    is_active,
+    role,
+    price_amount,
+    price_currency,
+  ];
 
-    const values = [
-      creator_id,
-      name,
-      description,
-      personality_name,
-      tone,
-      trait_array,
-      system_prompt,
-      model,
-      temperature,
-      max_tokens,
-      is_active,
-      role,
-      price_amount,
-      price_currency,
-      trainingApiUuid,
-    ];
+  // Agent row and its Training API registration event commit together;
+  // the sync worker delivers the event and fills in training_api_uuid
+  const result = await client.query(query, values);
+  await agentVersionService.recordVersion(
+    client,
+    result.rows[0].id,
+    snapshotConfig(result.rows[0]),
+    { authorId: identity.id, changeType: "create" }
+  );
+  await trainingSyncService.enqueueEvent(client, result.rows[0].id, "create");
 
-    const result = await client.query(query, values);
+  return result.rows[0];
+}
+
+/**
+ * Create a new agent
+ * @param {Object} identity - Authenticated caller (admins may set creator_id)
+ * @param {Object} agentData - Agent data
+ * @returns {Promise<Object>} Created agent
+ */
+async function createAgent(identity, agentData) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const creator_id = resolveCreatorId(identity, agentData.creator_id);
+    const agent = await insertAgent(client, identity, creator_id, agentData);
+    await client.query("COMMIT");
+
+    trainingSyncWorker.kick();
 
     return {
       success: true,
       message: "Agent created successfully",
-      data: result.rows[0],
+      data: agent,
     };
   } catch (error) {
+    await client.query("ROLLBACK");
     if (error.code === "23503") {
       // Foreign key violation
-      throw new Error("Invalid creator_id - user does not exist");
+      throw new ValidationError("Invalid creator_id - user does not exist");
     }
     throw error;
   } finally {
@@ -132,11 +216,30 @@ async function createAgent(agentData) {
 }
 
 /**
- * Get all agents for a creator
- * @param {Number} creatorId - Creator user ID (from users table)
- * @returns {Promise<Object>} List of agents
+ * Get agents for a creator, one page at a time
+ * @param {Object} identity - Authenticated caller
+ * @param {Number} [requestedCreatorId] - Creator to list (admins only; defaults to the caller)
+ * @param {Object} [options] - Listing options
+ * @param {Boolean} [options.includeDeleted] - Also return trashed agents
+ * @param {Number} [options.limit] - Page size (1-100, default 50)
+ * @param {String} [options.cursor] - next_cursor from the previous page
+ * @param {String} [options.sort] - name | created | updated | price (default created)
+ * @param {String} [options.order] - asc | desc (default desc)
+ * @param {String} [options.search] - Case-insensitive match on name, description, personality_name
+ * @param {Boolean} [options.isActive] - Filter on is_active
+ * @param {String} [options.role] - Filter on role
+ * @param {String} [options.model] - Filter on model
+ * @param {Number} [options.minPrice] - Minimum price_amount
+ * @param {Number} [options.maxPrice] - Maximum price_amount
+ * @returns {Promise<Object>} Page of agents with total and next_cursor
  */
-async function getAgentsByCreator(creatorId) {
+async function getAgentsByCreator(identity, requestedCreatorId, options = {}) {
+  const creatorId = resolveCreatorId(identity, requestedCreatorId);
+
+  const baseFilters = ["a.creator_id = $1"];
+  if (!options.includeDeleted) baseFilters.push("a.deleted_at IS NULL");
+  const list = buildListQuery(options, baseFilters, [creatorId]);
+
   const client = await pool.connect();
 
   try {
@@ -144,24 +247,35 @@ async function getAgentsByCreator(creatorId) {
       SELECT 
         a.id, a.creator_id, a.name, a.description,
         a.personality_name, a.tone, a.trait_array,
-        a.system_prompt, a.model, a.temperature, a.max_tokens,
+        a.system_prompt, a.prompt_variables, a.model, a.temperature,
+        a.max_tokens,
         a.is_active, a.role, a.price_amount, a.price_currency,
-        a.training_api_uuid,
-        a.created_at, a.updated_at,
-        u.user_id, u.name as creator_name, u.email as creator_email
+        a.training_api_uuid, a.voice_id,
+        a.sync_status, a.sync_error, a.synced_at,
+        a.created_at, a.updated_at, a.deleted_at,
+        u.user_id, u.name as creator_name, u.email as creator_email,
+        ${list.sortValue}
       FROM agents a
       LEFT JOIN users u ON a.creator_id = u.id
-      WHERE a.creator_id = $1 
-      ORDER BY a.created_at DESC;
+      WHERE ${list.pageWhere}
+      ORDER BY ${list.orderBy}
+      LIMIT ${list.limitParam};
+    `;
+    const countQuery = `
+      SELECT COUNT(*) FROM agents a WHERE ${list.where};
     `;
 
-    const result = await client.query(query, [creatorId]);
+    const result = await client.query(query, list.pageValues);
+    const countResult = await client.query(countQuery, list.values);
+    const { rows, nextCursor } = paginate(result.rows, list.limit);
 
     return {
       success: true,
       message: "Agents retrieved successfully",
-      data: result.rows,
-      count: result.rows.length,
+      data: rows,
+      count: rows.length,
+      total: parseInt(countResult.rows[0].count),
+      next_cursor: nextCursor,
     };
   } catch (error) {
     throw error;
@@ -173,37 +287,49 @@ async function getAgentsByCreator(creatorId) {
 /**
  * Get a single agent by ID
  * @param {Number} agentId - Agent integer ID
- * @param {Number} creatorId - Creator user ID (for ownership verification)
+ * @param {Object} identity - Authenticated caller (for ownership verification)
+ * @param {Object} [options] - { includeDeleted } to also find trashed agents
  * @returns {Promise<Object>} Agent details
  */
-async function getAgentById(agentId, creatorId) {
+async function getAgentById(agentId, identity, options = {}) {
   const client = await pool.connect();
 
   try {
+    const values = [agentId];
+    const ownerClause = ownerScope(identity, values, "a.creator_id");
     const query = `
       SELECT 
         a.id, a.creator_id, a.name, a.description,
         a.personality_name, a.tone, a.trait_array,
-        a.system_prompt, a.model, a.temperature, a.max_tokens,
+        a.system_prompt, a.prompt_variables, a.model, a.temperature,
+        a.max_tokens,
         a.is_active, a.role, a.price_amount, a.price_currency,
-        a.training_api_uuid,
-        a.created_at, a.updated_at,
+        a.training_api_uuid, a.voice_id,
+        a.sync_status, a.sync_error, a.synced_at,
+        a.created_at, a.updated_at, a.deleted_at,
         u.user_id, u.name as creator_name, u.email as creator_email
       FROM agents a
       LEFT JOIN users u ON a.creator_id = u.id
-      WHERE a.id = $1 AND a.creator_id = $2;
+      WHERE a.id = $1 ${ownerClause}
+        ${options.includeDeleted ? "" : "AND a.deleted_at IS NULL"};
     `;
 
-    const result = await client.query(query, [agentId, creatorId]);
+    const result = await client.query(query, values);
 
     if (result.rows.length === 0) {
-      throw new Error("Agent not found or access denied");
+      throw new NotFoundError("Agent not found or access denied");
     }
 
+    const agent = result.rows[0];
+    agent.latest_training = await trainingJobService.fetchLatestJob(
+      client,
+      agent.id
+    );
+
     return {
       success: true,
       message: "Agent retrieved successfully",
-      data: result.rows[0],
+      data: agent,
     };
   } catch (error) {
     throw error;
@@ -212,80 +338,321 @@ async function getAgentById(agentId, creatorId) {
   }
 }
 
+/**
+ * Write updates to a locked agent row, record the revision and queue a
+ * Training API sync when a mirrored field changed
+ * @param {Object} client - pg client inside an open transaction
+ * @param {Object} identity - Authenticated caller (the revision author)
+ * @param {Object} current - The agent row, locked FOR UPDATE
+ * @param {Object} updates - Fields to update (UPDATABLE_FIELDS only)
+ * @returns {Promise<Object>} { agent, touchesSyncedField }
+ */
+async function applyAgentUpdate(client, identity, current, updates) {
+  // Build dynamic update query
+  const updateFields = [];
+  const values = [];
+  let paramCount = 1;
+
+  for (const [key, value] of Object.entries(updates)) {
+    if (!UPDATABLE_FIELDS.includes(key)) {
+      throw new ValidationError(
+        `${key} cannot be updated - fields must be among: ${UPDATABLE_FIELDS.join(", ")}`
+      );
+    }
+    updateFields.push(`${key} = $${paramCount}`);
+    values.push(value);
+    paramCount++;
+  }
+
+  if (updateFields.length === 0) {
+    throw new ValidationError("No valid fields to update");
+  }
+
+  assertAgentRules({ ...current, ...updates }, Object.keys(updates));
+
+  values.push(current.id);
+
+  const updateQuery = `
+    UPDATE agents 
+    SET ${updateFields.join(", ")}, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $${paramCount}
+    RETURNING ${AGENT_COLUMNS};
+  `;
+
+  const result = await client.query(updateQuery, values);
+
+  const before = snapshotConfig(current);
+  const after = snapshotConfig(result.rows[0]);
+  await agentVersionService.recordVersion(client, current.id, after, {
+    authorId: identity.id,
+    changeType: "update",
+    changedFields: changedFields(before, after),
+  });
+
+  const touchesSyncedField = Object.keys(updates).some((key) =>
+    SYNCED_FIELDS.includes(key)
+  );
+  if (touchesSyncedField) {
+    await trainingSyncService.enqueueEvent(client, current.id, "update");
+    result.rows[0].sync_status = "pending";
+  }
+
+  return { agent: result.rows[0], touchesSyncedField };
+}
+
 /**
  * Update an agent
  * @param {Number} agentId - Agent integer ID
- * @param {Number} creatorId - Creator user ID (for ownership verification)
+ * @param {Object} identity - Authenticated caller (for ownership verification)
  * @param {Object} updates - Fields to update
  * @returns {Promise<Object>} Updated agent
  */
-async function updateAgent(agentId, creatorId, updates) {
+async function updateAgent(agentId, identity, updates) {
   const client = await pool.connect();
 
   try {
+    await client.query("BEGIN");
+
     // First verify ownership
-    const checkQuery = `SELECT id FROM agents WHERE id = $1 AND creator_id = $2`;
-    const checkResult = await client.query(checkQuery, [agentId, creatorId]);
+    const checkValues = [agentId];
+    const checkQuery = `SELECT * FROM agents WHERE id = $1 ${ownerScope(
+      identity,
+      checkValues
+    )} AND deleted_at IS NULL FOR UPDATE`;
+    const checkResult = await client.query(checkQuery, checkValues);
 
     if (checkResult.rows.length === 0) {
-      throw new Error("Agent not found or access denied");
+      throw new NotFoundError("Agent not found or access denied");
     }
 
-    // Build dynamic update query
-    const allowedFields = [
-      "name",
-      "description",
-      "personality_name",
-      "tone",
-      "trait_array",
-      "system_prompt",
-      "model",
-      "temperature",
-      "max_tokens",
-      "is_active",
-      "role",
-      "price_amount",
-      "price_currency",
-    ];
-
-    const updateFields = [];
-    const values = [];
-    let paramCount = 1;
-
-    for (const [key, value] of Object.entries(updates)) {
-      if (allowedFields.includes(key)) {
-        updateFields.push(`${key} = $${paramCount}`);
-        values.push(value);
-        paramCount++;
-      }
+    const { agent, touchesSyncedField } = await applyAgentUpdate(
+      client,
+      identity,
+      checkResult.rows[0],
+      updates
+    );
+
+    await client.query("COMMIT");
+
+    if (touchesSyncedField) trainingSyncWorker.kick();
+
+    return {
+      success: true,
+      message: "Agent updated successfully",
+      data: agent,
+    };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Render an agent's system_prompt with a given set of variable values
+ * @param {Number} agentId - Agent integer ID
+ * @param {Object} identity - Authenticated caller (for ownership verification)
+ * @param {Object} [options] - { variables, system_prompt }
+ *   variables override the agent's defaults; system_prompt previews a draft
+ * @returns {Promise<Object>} { rendered, variables }
+ */
+async function previewPrompt(agentId, identity, options = {}) {
+  const client = await pool.connect();
+
+  try {
+    const values = [agentId];
+    const result = await client.query(
+      `SELECT ${AGENT_COLUMNS} FROM agents
+       WHERE id = $1 AND deleted_at IS NULL ${ownerScope(identity, values)};`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError("Agent not found or access denied");
     }
+    const agent = result.rows[0];
 
-    if (updateFields.length === 0) {
-      throw new Error("No valid fields to update");
+    const variables = options.variables || {};
+    const errors = validateVariables(variables).map((error) =>
+      error.replace("prompt_variables", "variables")
+    );
+    for (const name of Object.keys(variables)) {
+      if (!Object.hasOwn(agent.prompt_variables, name)) {
+        errors.push(`variables.${name} must be defined in prompt_variables`);
+      }
+    }
+    const prompt = options.system_prompt ?? agent.system_prompt ?? "";
+    errors.push(...validatePrompt(prompt, agent.prompt_variables));
+    if (errors.length > 0) {
+      throw new ValidationError(errors.join("; "));
     }
 
-    values.push(agentId);
-    values.push(creatorId);
+    return {
+      success: true,
+      message: "Prompt rendered successfully",
+      data: {
+        rendered: renderPrompt(prompt, agent, variables),
+        variables: { ...agent.prompt_variables, ...variables },
+      },
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
 
-    const updateQuery = `
-      UPDATE agents 
-      SET ${updateFields.join(", ")}, updated_at = CURRENT_TIMESTAMP
-      WHERE id = $${paramCount} AND creator_id = $${paramCount + 1}
-      RETURNING 
-        id, creator_id, name, description, personality_name, tone,
-        trait_array, system_prompt, model, temperature, max_tokens,
-        is_active, role, price_amount, price_currency, training_api_uuid,
-        created_at, updated_at;
-    `;
+/**
+ * Export a creator's agents (name plus every updatable field)
+ * @param {Object} identity - Authenticated caller
+ * @param {Number} [requestedCreatorId] - Creator to export (admins only; defaults to the caller)
+ * @returns {Promise<Object>} Agents ordered by name
+ */
+async function exportAgents(identity, requestedCreatorId) {
+  const creatorId = resolveCreatorId(identity, requestedCreatorId);
+  const client = await pool.connect();
 
-    const result = await client.query(updateQuery, values);
+  try {
+    const result = await client.query(
+      `SELECT id, name, ${UPDATABLE_FIELDS.filter((f) => f !== "name").join(
+        ", "
+      )}
+       FROM agents
+       WHERE creator_id = $1 AND deleted_at IS NULL
+       ORDER BY name, id;`,
+      [creatorId]
+    );
 
     return {
       success: true,
-      message: "Agent updated successfully",
-      data: result.rows[0],
+      message: "Agents exported successfully",
+      data: result.rows.map((agent) => ({
+        name: agent.name,
+        ...snapshotConfig(agent),
+      })),
+      count: result.rows.length,
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Import agents in a single transaction (all rows or none)
+ * Rows must already be validated. With upsert, a row whose name matches one
+ * of the creator's agents updates it instead of creating a new one. A dry run
+ * performs every write and then rolls back, so the report is exact.
+ * @param {Object} identity - Authenticated caller
+ * @param {Number} [requestedCreatorId] - Creator to import into (admins only; defaults to the caller)
+ * @param {Array<Object>} rows - Agent data, one object per row
+ * @param {Object} [options] - { upsert, dryRun }
+ * @returns {Promise<Object>} Per-row report: created | updated | unchanged
+ */
+async function importAgents(identity, requestedCreatorId, rows, options = {}) {
+  const creatorId = resolveCreatorId(identity, requestedCreatorId);
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const results = [];
+    for (const [i, data] of rows.entries()) {
+      try {
+        let existing = null;
+        if (options.upsert) {
+          const found = await client.query(
+            `SELECT * FROM agents
+             WHERE creator_id = $1 AND name = $2 AND deleted_at IS NULL
+             ORDER BY id
+             LIMIT 1
+             FOR UPDATE;`,
+            [creatorId, data.name]
+          );
+          existing = found.rows[0] || null;
+        }
+
+        if (!existing) {
+          // Unset and null fields both take createAgent's defaults
+          const fields = Object.fromEntries(
+            Object.entries(data).filter(([, value]) => value !== null)
+          );
+          const agent = await insertAgent(client, identity, creatorId, fields);
+          results.push({
+            row: i + 1,
+            name: data.name,
+            action: "created",
+            // Rolled back in a dry run, so the ID won't exist
+            id: options.dryRun ? undefined : agent.id,
+          });
+          continue;
+        }
+
+        const before = snapshotConfig(existing);
+        const changed = changedFields(
+          before,
+          snapshotConfig({ ...existing, ...data })
+        );
+        if (changed.length === 0) {
+          results.push({
+            row: i + 1,
+            name: data.name,
+            action: "unchanged",
+            id: existing.id,
+          });
+          continue;
+        }
+
+        await applyAgentUpdate(
+          client,
+          identity,
+          existing,
+          Object.fromEntries(changed.map((field) => [field, data[field]]))
+        );
+        results.push({
+          row: i + 1,
+          name: data.name,
+          action: "updated",
+          id: existing.id,
+          changed_fields: changed,
+        });
+      } catch (error) {
+        error.message = `Row ${i + 1}: ${error.message}`;
+        throw error;
+      }
+    }
+
+    const written = results.some((r) => r.action !== "unchanged");
+    if (options.dryRun) {
+      await client.query("ROLLBACK");
+    } else {
+      await client.query("COMMIT");
+      if (written) trainingSyncWorker.kick();
+    }
+
+    const summary = {};
+    for (const action of ["created", "updated", "unchanged"]) {
+      summary[action] = results.filter((r) => r.action === action).length;
+    }
+
+    return {
+      success: true,
+      message: options.dryRun
+        ? "Dry run - no changes were saved"
+        : "Agents imported successfully",
+      data: {
+        dry_run: Boolean(options.dryRun),
+        ...summary,
+        results,
+      },
     };
   } catch (error) {
+    await client.query("ROLLBACK");
+    if (error.code === "23503") {
+      throw new ValidationError("Invalid creator_id - user does not exist");
+    }
     throw error;
   } finally {
     client.release();
@@ -293,32 +660,78 @@ async function updateAgent(agentId, creatorId, updates) {
 }
 
 /**
- * Delete an agent
+ * Build new-agent data that copies an existing agent
+ * The result goes through the same validation and createAgent call as a
+ * hand-written agent; the copy belongs to the original's creator.
  * @param {Number} agentId - Agent integer ID
- * @param {Number} creatorId - Creator user ID (for ownership verification)
+ * @param {Object} identity - Authenticated caller (for ownership verification)
+ * @param {Object} overrides - Agent fields that replace the copied ones
+ * @returns {Promise<Object>} Agent data for createAgent
+ */
+async function buildDuplicateAgent(agentId, identity, overrides) {
+  const client = await pool.connect();
+
+  try {
+    const values = [agentId];
+    const result = await client.query(
+      `SELECT * FROM agents
+       WHERE id = $1 AND deleted_at IS NULL ${ownerScope(identity, values)};`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError("Agent not found or access denied");
+    }
+    const agent = result.rows[0];
+
+    const data = { creator_id: agent.creator_id };
+    for (const [field, value] of Object.entries(snapshotConfig(agent))) {
+      // Unset fields fall back to createAgent's defaults
+      if (value !== null) data[field] = value;
+    }
+    data.name = `${agent.name} (copy)`;
+
+    return { ...data, ...overrides };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete an agent (soft delete - moves it to the trash)
+ * The Training API copy is kept until the agent is purged.
+ * @param {Number} agentId - Agent integer ID
+ * @param {Object} identity - Authenticated caller (for ownership verification)
  * @returns {Promise<Object>} Deletion result
  */
-async function deleteAgent(agentId, creatorId) {
+async function deleteAgent(agentId, identity) {
   const client = await pool.connect();
 
   try {
+    const values = [agentId];
     const query = `
-      DELETE FROM agents 
-      WHERE id = $1 AND creator_id = $2
-      RETURNING id;
+      UPDATE agents
+      SET deleted_at = CURRENT_TIMESTAMP
+      WHERE id = $1 ${ownerScope(identity, values)}
+        AND deleted_at IS NULL
+      RETURNING id, deleted_at;
     `;
 
-    const result = await client.query(query, [agentId, creatorId]);
+    const result = await client.query(query, values);
 
     if (result.rows.length === 0) {
-      throw new Error("Agent not found or access denied");
+      throw new NotFoundError("Agent not found or access denied");
     }
 
     return {
       success: true,
-      message: "Agent deleted successfully",
+      message: "Agent moved to trash",
       data: {
         id: result.rows[0].id,
+        deleted_at: result.rows[0].deleted_at,
+        purge_after_days: TRASH_RETENTION_DAYS,
       },
     };
   } catch (error) {
@@ -328,10 +741,319 @@ async function deleteAgent(agentId, creatorId) {
   }
 }
 
+/**
+ * Get trashed agents for a creator
+ * @param {Object} identity - Authenticated caller
+ * @param {Number} [requestedCreatorId] - Creator to list (admins only; defaults to the caller)
+ * @returns {Promise<Object>} Trashed agents with their purge date
+ */
+async function getTrashedAgents(identity, requestedCreatorId) {
+  const client = await pool.connect();
+
+  try {
+    const creatorId = resolveCreatorId(identity, requestedCreatorId);
+    const query = `
+      SELECT
+        a.id, a.creator_id, a.name, a.description, a.role,
+        a.training_api_uuid, a.created_at, a.updated_at, a.deleted_at,
+        a.deleted_at + ($2::int * INTERVAL '1 day') as purge_at
+      FROM agents a
+      WHERE a.creator_id = $1 AND a.deleted_at IS NOT NULL
+      ORDER BY a.deleted_at DESC;
+    `;
+
+    const result = await client.query(query, [creatorId, TRASH_RETENTION_DAYS]);
+
+    return {
+      success: true,
+      message: "Trashed agents retrieved successfully",
+      data: result.rows,
+      count: result.rows.length,
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Restore a trashed agent
+ * @param {Number} agentId - Agent integer ID
+ * @param {Object} identity - Authenticated caller (for ownership verification)
+ * @returns {Promise<Object>} Restored agent
+ */
+async function restoreAgent(agentId, identity) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const values = [agentId];
+    const trashed = await client.query(
+      `SELECT id, creator_id FROM agents
+       WHERE id = $1 ${ownerScope(identity, values)}
+         AND deleted_at IS NOT NULL
+       FOR UPDATE;`,
+      values
+    );
+
+    if (trashed.rows.length === 0) {
+      throw new NotFoundError("Agent not found in trash or access denied");
+    }
+
+    // A restored agent counts against the plan again
+    await quotaService.assertAgentQuota(client, trashed.rows[0].creator_id);
+
+    const result = await client.query(
+      `UPDATE agents
+       SET deleted_at = NULL, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${AGENT_COLUMNS};`,
+      [trashed.rows[0].id]
+    );
+
+    await client.query("COMMIT");
+
+    return {
+      success: true,
+      message: "Agent restored successfully",
+      data: result.rows[0],
+    };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Permanently delete agents that have been in the trash longer than the
+ * retention period, and queue their removal from the Training API
+ * @param {Number} [retentionDays] - Days to keep trashed agents
+ * @returns {Promise<Object>} IDs of the purged agents
+ */
+async function purgeDeletedAgents(retentionDays = TRASH_RETENTION_DAYS) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const result = await client.query(
+      `
+      DELETE FROM agents
+      WHERE deleted_at IS NOT NULL
+        AND deleted_at < CURRENT_TIMESTAMP - ($1::int * INTERVAL '1 day')
+      RETURNING id, training_api_uuid;
+      `,
+      [retentionDays]
+    );
+
+    for (const agent of result.rows) {
+      await trainingSyncService.enqueueEvent(
+        client,
+        agent.id,
+        "delete",
+        agent.training_api_uuid
+      );
+    }
+
+    await client.query("COMMIT");
+
+    if (result.rows.length > 0) trainingSyncWorker.kick();
+
+    // Stored documents aren't covered by the cascade; best-effort cleanup
+    for (const agent of result.rows) {
+      await documentService.deleteAgentObjects(agent.id).catch((error) => {
+        logger.error("Failed to delete documents for purged agent", {
+          agent_id: agent.id,
+          error,
+        });
+      });
+    }
+
+    return {
+      success: true,
+      message: `Purged ${result.rows.length} agent(s)`,
+      data: { agent_ids: result.rows.map((agent) => agent.id) },
+    };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Restore an agent's config from an earlier revision
+ * Records a new 'rollback' revision and pushes the restored config to the
+ * Training API.
+ * @param {Number} agentId - Agent integer ID
+ * @param {Object} identity - Authenticated caller (for ownership verification)
+ * @param {Number} version - Revision number to restore
+ * @returns {Promise<Object>} Restored agent and the new revision
+ */
+async function rollbackAgent(agentId, identity, version) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const checkValues = [agentId];
+    const checkQuery = `SELECT * FROM agents WHERE id = $1 ${ownerScope(
+      identity,
+      checkValues
+    )} AND deleted_at IS NULL FOR UPDATE`;
+    const checkResult = await client.query(checkQuery, checkValues);
+
+    if (checkResult.rows.length === 0) {
+      throw new NotFoundError("Agent not found or access denied");
+    }
+
+    const target = await agentVersionService.fetchVersion(
+      client,
+      agentId,
+      version
+    );
+
+    const fields = UPDATABLE_FIELDS.filter((field) => field in target.config);
+    const values = fields.map((field) => target.config[field]);
+    values.push(agentId);
+
+    const updateQuery = `
+      UPDATE agents
+      SET ${fields.map((field, i) => `${field} = $${i + 1}`).join(", ")},
+        updated_at = CURRENT_TIMESTAMP
+      WHERE id = $${values.length}
+      RETURNING ${AGENT_COLUMNS};
+    `;
+    const result = await client.query(updateQuery, values);
+
+    const before = snapshotConfig(checkResult.rows[0]);
+    const after = snapshotConfig(result.rows[0]);
+    const revision = await agentVersionService.recordVersion(
+      client,
+      agentId,
+      after,
+      {
+        authorId: identity.id,
+        changeType: "rollback",
+        changedFields: changedFields(before, after),
+        rolledBackTo: version,
+      }
+    );
+    await trainingSyncService.enqueueEvent(client, agentId, "update");
+    result.rows[0].sync_status = "pending";
+
+    await client.query("COMMIT");
+
+    trainingSyncWorker.kick();
+
+    return {
+      success: true,
+      message: `Agent rolled back to version ${version}`,
+      data: {
+        agent: result.rows[0],
+        version: revision,
+      },
+    };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Attach a saved voice to an agent (or detach it with null)
+ * @param {Number} agentId - Agent integer ID
+ * @param {Object} identity - Authenticated caller (for ownership verification)
+ * @param {String|null} voiceId - Voice ID from the creator's saved voices
+ * @returns {Promise<Object>} Updated agent voice
+ */
+async function setAgentVoice(agentId, identity, voiceId) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    // Verify ownership and resolve the creator's user_id for user_voices
+    const checkValues = [agentId];
+    const checkQuery = `
+      SELECT a.id, u.user_id
+      FROM agents a
+      JOIN users u ON a.creator_id = u.id
+      WHERE a.id = $1 ${ownerScope(identity, checkValues, "a.creator_id")}
+        AND a.deleted_at IS NULL;
+    `;
+    const checkResult = await client.query(checkQuery, checkValues);
+
+    if (checkResult.rows.length === 0) {
+      throw new NotFoundError("Agent not found or access denied");
+    }
+
+    let voice = null;
+    if (voiceId !== null) {
+      // Hold the voice until the agent is updated, so a concurrent
+      // deleteUserVoice waits and then sees it in use
+      const voiceQuery = `
+        SELECT * FROM user_voices
+        WHERE user_id = $1 AND voice_id = $2
+        FOR SHARE;
+      `;
+      const voiceResult = await client.query(voiceQuery, [
+        checkResult.rows[0].user_id,
+        voiceId,
+      ]);
+
+      if (voiceResult.rows.length === 0) {
+        throw new NotFoundError("Voice not found for this creator");
+      }
+      voice = voiceResult.rows[0];
+    }
+
+    const updateQuery = `
+      UPDATE agents
+      SET voice_id = $1, updated_at = CURRENT_TIMESTAMP
+      WHERE id = $2
+      RETURNING id, voice_id, updated_at;
+    `;
+    const result = await client.query(updateQuery, [voiceId, agentId]);
+
+    await client.query("COMMIT");
+
+    return {
+      success: true,
+      message: voiceId
+        ? "Voice attached to agent successfully"
+        : "Voice detached from agent successfully",
+      data: { ...result.rows[0], voice },
+    };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
 module.exports = {
+  UPDATABLE_FIELDS,
   createAgent,
+  buildDuplicateAgent,
+  exportAgents,
+  previewPrompt,
+  importAgents,
   getAgentsByCreator,
   getAgentById,
   updateAgent,
   deleteAgent,
+  getTrashedAgents,
+  restoreAgent,
+  purgeDeletedAgents,
+  setAgentVoice,
+  rollbackAgent,
 };
@@ -0,0 +1,196 @@
+const pool = require("../config/database");
+const { ownerScope } = require("../utils/identity");
+const { NotFoundError } = require("../utils/errors");
+
+/**
+ * Record a new immutable revision for an agent
+ * Must be called with the same client (and transaction) as the agent change,
+ * while the agent row is locked.
+ * @param {Object} client - pg client inside an open transaction
+ * @param {Number} agentId - Agent integer ID
+ * @param {Object} config - Snapshot of the agent's editable fields
+ * @param {Object} meta - { authorId, changeType, changedFields, rolledBackTo }
+ * @returns {Promise<Object>} Created revision
+ */
+async function recordVersion(client, agentId, config, meta) {
+  const query = `
+    INSERT INTO agent_versions (
+      agent_id, version, config, changed_fields, change_type,
+      rolled_back_to, author_id
+    )
+    SELECT $1, COALESCE(MAX(version), 0) + 1, $2, $3, $4, $5, $6
+    FROM agent_versions
+    WHERE agent_id = $1
+    RETURNING id, agent_id, version, changed_fields, change_type,
+      rolled_back_to, author_id, created_at;
+  `;
+
+  const result = await client.query(query, [
+    agentId,
+    JSON.stringify(config),
+    meta.changedFields || [],
+    meta.changeType,
+    meta.rolledBackTo || null,
+    meta.authorId,
+  ]);
+
+  return result.rows[0];
+}
+
+/**
+ * Verify the caller may see an agent's history
+ */
+async function assertAgentAccess(client, agentId, identity) {
+  const values = [agentId];
+  const result = await client.query(
+    `SELECT id FROM agents WHERE id = $1 ${ownerScope(identity, values)};`,
+    values
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError("Agent not found or access denied");
+  }
+}
+
+/**
+ * Fetch a single revision's snapshot
+ * @param {Object} client - pg client
+ * @param {Number} agentId - Agent integer ID
+ * @param {Number} version - Revision number
+ * @returns {Promise<Object>} Revision row including config
+ */
+async function fetchVersion(client, agentId, version) {
+  const result = await client.query(
+    `
+    SELECT v.id, v.agent_id, v.version, v.config, v.changed_fields,
+      v.change_type, v.rolled_back_to, v.author_id,
+      u.name as author_name, v.created_at
+    FROM agent_versions v
+    LEFT JOIN users u ON v.author_id = u.id
+    WHERE v.agent_id = $1 AND v.version = $2;
+    `,
+    [agentId, version]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError(`Version ${version} not found for this agent`);
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * List an agent's revisions, newest first
+ * @param {Number} agentId - Agent integer ID
+ * @param {Object} identity - Authenticated caller (for ownership verification)
+ * @returns {Promise<Object>} Revision summaries (without config)
+ */
+async function listVersions(agentId, identity) {
+  const client = await pool.connect();
+
+  try {
+    await assertAgentAccess(client, agentId, identity);
+
+    const result = await client.query(
+      `
+      SELECT v.version, v.changed_fields, v.change_type, v.rolled_back_to,
+        v.author_id, u.name as author_name, v.created_at
+      FROM agent_versions v
+      LEFT JOIN users u ON v.author_id = u.id
+      WHERE v.agent_id = $1
+      ORDER BY v.version DESC;
+      `,
+      [agentId]
+    );
+
+    return {
+      success: true,
+      message: "Agent versions retrieved successfully",
+      data: result.rows,
+      count: result.rows.length,
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a single revision with its full config
+ * @param {Number} agentId - Agent integer ID
+ * @param {Object} identity - Authenticated caller (for ownership verification)
+ * @param {Number} version - Revision number
+ * @returns {Promise<Object>} Revision
+ */
+async function getVersion(agentId, identity, version) {
+  const client = await pool.connect();
+
+  try {
+    await assertAgentAccess(client, agentId, identity);
+
+    return {
+      success: true,
+      message: "Agent version retrieved successfully",
+      data: await fetchVersion(client, agentId, version),
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Field-level diff between two revisions
+ * @param {Number} agentId - Agent integer ID
+ * @param {Object} identity - Authenticated caller (for ownership verification)
+ * @param {Number} fromVersion - Base revision
+ * @param {Number} toVersion - Compared revision
+ * @returns {Promise<Object>} Changed fields with before/after values
+ */
+async function diffVersions(agentId, identity, fromVersion, toVersion) {
+  const client = await pool.connect();
+
+  try {
+    await assertAgentAccess(client, agentId, identity);
+
+    const from = await fetchVersion(client, agentId, fromVersion);
+    const to = await fetchVersion(client, agentId, toVersion);
+
+    const fields = new Set([
+      ...Object.keys(from.config),
+      ...Object.keys(to.config),
+    ]);
+    const changes = [];
+    for (const field of fields) {
+      const before = from.config[field] ?? null;
+      const after = to.config[field] ?? null;
+      if (JSON.stringify(before) !== JSON.stringify(after)) {
+        changes.push({ field, from: before, to: after });
+      }
+    }
+
+    return {
+      success: true,
+      message: "Agent version diff computed successfully",
+      data: {
+        from: fromVersion,
+        to: toVersion,
+        changes,
+      },
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  recordVersion,
+  fetchVersion,
+  listVersions,
+  getVersion,
+  diffVersions,
+};
@@ -0,0 +1,133 @@
+const pool = require("../config/database");
+const { buildListQuery, paginate } = require("../utils/agentQuery");
+const { NotFoundError } = require("../utils/errors");
+
+// Only these columns are ever exposed publicly - never system_prompt,
+// creator_email or training_api_uuid
+const PUBLIC_COLUMNS = `
+  a.id, a.creator_id, u.name as creator_name,
+  a.name, a.description, a.personality_name, a.tone, a.trait_array,
+  a.model, a.role, a.price_amount, a.price_currency, a.voice_id,
+  a.created_at, a.updated_at
+`;
+
+// Listed agents must be active and not in the trash
+const PUBLIC_FILTERS = ["a.is_active = true", "a.deleted_at IS NULL"];
+
+/**
+ * List public agents across all creators (or one creator)
+ * @param {Object} options - Listing options (see parseAgentListQuery)
+ * @param {Number} [creatorId] - Restrict to one creator
+ * @returns {Promise<Object>} Page of public agents with total and next_cursor
+ */
+async function listPublicAgents(options = {}, creatorId) {
+  const baseFilters = [...PUBLIC_FILTERS];
+  const baseValues = [];
+  if (creatorId !== undefined) {
+    baseValues.push(creatorId);
+    baseFilters.push(`a.creator_id = $${baseValues.length}`);
+  }
+  // is_active is fixed for the catalog
+  const list = buildListQuery(
+    { ...options, isActive: undefined },
+    baseFilters,
+    baseValues
+  );
+
+  const client = await pool.connect();
+
+  try {
+    const query = `
+      SELECT ${PUBLIC_COLUMNS}, ${list.sortValue}
+      FROM agents a
+      LEFT JOIN users u ON a.creator_id = u.id
+      WHERE ${list.pageWhere}
+      ORDER BY ${list.orderBy}
+      LIMIT ${list.limitParam};
+    `;
+    const countQuery = `
+      SELECT COUNT(*) FROM agents a WHERE ${list.where};
+    `;
+
+    const result = await client.query(query, list.pageValues);
+    const countResult = await client.query(countQuery, list.values);
+    const { rows, nextCursor } = paginate(result.rows, list.limit);
+
+    return {
+      success: true,
+      message: "Catalog agents retrieved successfully",
+      data: rows,
+      count: rows.length,
+      total: parseInt(countResult.rows[0].count),
+      next_cursor: nextCursor,
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a single public agent
+ * @param {Number} agentId - Agent integer ID
+ * @returns {Promise<Object>} Public agent details
+ */
+async function getPublicAgent(agentId) {
+  const client = await pool.connect();
+
+  try {
+    const query = `
+      SELECT ${PUBLIC_COLUMNS}
+      FROM agents a
+      LEFT JOIN users u ON a.creator_id = u.id
+      WHERE a.id = $1 AND ${PUBLIC_FILTERS.join(" AND ")};
+    `;
+
+    const result = await client.query(query, [agentId]);
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError("Agent not found");
+    }
+
+    return {
+      success: true,
+      message: "Catalog agent retrieved successfully",
+      data: result.rows[0],
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List one creator's public agents along with their display name
+ * @param {Number} creatorId - Creator user ID
+ * @param {Object} options - Listing options (see parseAgentListQuery)
+ * @returns {Promise<Object>} Creator summary and a page of their agents
+ */
+async function listCreatorAgents(creatorId, options = {}) {
+  const creatorResult = await pool.query(
+    `SELECT id, name FROM users WHERE id = $1;`,
+    [creatorId]
+  );
+
+  if (creatorResult.rows.length === 0) {
+    throw new NotFoundError("Creator not found");
+  }
+
+  const result = await listPublicAgents(options, creatorId);
+
+  return {
+    ...result,
+    creator: creatorResult.rows[0],
+  };
+}
+
+module.exports = {
+  listPublicAgents,
+  getPublicAgent,
+  listCreatorAgents,
+};
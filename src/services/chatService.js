@@ -0,0 +1,205 @@
+const { StringDecoder } = require("string_decoder");
+const pool = require("../config/database");
+const trainingApi = require("../utils/trainingApiClient");
+const purchaseService = require("./purchaseService");
+const {
+  ConflictError,
+  ForbiddenError,
+  NotFoundError,
+  UpstreamUnavailableError,
+} = require("../utils/errors");
+
+const CHAT_ROLES = ["user", "assistant"];
+const MAX_MESSAGES = 100;
+
+/**
+ * Validate a chat conversation from the client
+ * The agent's system_prompt lives upstream, so clients may only send
+ * user and assistant turns.
+ * @param {Array} messages - [{ role, content }]
+ * @returns {Array<String>} Validation errors
+ */
+function validateMessages(messages) {
+  const errors = [];
+
+  if (!Array.isArray(messages) || messages.length === 0) {
+    errors.push("messages must be a non-empty array");
+    return errors;
+  }
+  if (messages.length > MAX_MESSAGES) {
+    errors.push(`messages must contain at most ${MAX_MESSAGES} entries`);
+  }
+
+  messages.forEach((message, i) => {
+    if (!message || !CHAT_ROLES.includes(message.role)) {
+      errors.push(
+        `messages[${i}].role must be one of: ${CHAT_ROLES.join(", ")}`
+      );
+    }
+    if (typeof message?.content !== "string" || !message.content.trim()) {
+      errors.push(`messages[${i}].content must be a non-empty string`);
+    }
+  });
+
+  if (errors.length === 0 && messages[messages.length - 1].role !== "user") {
+    errors.push("the last message must be from the user");
+  }
+
+  return errors;
+}
+
+/**
+ * Load an agent for chatting and check the caller may use it
+ * @param {Object} identity - Authenticated caller
+ * @param {Number} agentId - Agent integer ID
+ * @returns {Promise<Object>} Agent row
+ */
+async function getChatAgent(identity, agentId) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT id, creator_id, name, role, is_active, training_api_uuid,
+         model, temperature, max_tokens
+       FROM agents
+       WHERE id = $1 AND deleted_at IS NULL;`,
+      [agentId]
+    );
+
+    const agent = result.rows[0];
+    if (!agent) {
+      throw new NotFoundError("Agent not found");
+    }
+    if (!agent.is_active) {
+      throw new ConflictError("Agent is not active");
+    }
+
+    const access = await purchaseService.resolveAccess(client, identity, agent);
+    if (!access.allowed) {
+      throw new ForbiddenError(
+        "Access denied - purchase required to chat with this agent"
+      );
+    }
+
+    if (!agent.training_api_uuid) {
+      throw new UpstreamUnavailableError(
+        "Agent is not available yet - Training API sync pending",
+        { status: 503 }
+      );
+    }
+
+    return agent;
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Forward a conversation to the Training API
+ * @param {Object} agent - Row from getChatAgent
+ * @param {Array} messages - Validated conversation
+ * @param {Object} options - { stream, signal }
+ * @returns {Promise<Object>} axios response (data is a stream when streaming)
+ */
+async function sendChat(agent, messages, options = {}) {
+  return trainingApi.chat(
+    agent.training_api_uuid,
+    {
+      messages,
+      model: agent.model,
+      temperature: Number(agent.temperature),
+      max_tokens: agent.max_tokens,
+      stream: Boolean(options.stream),
+    },
+    options
+  );
+}
+
+/**
+ * Pull the assistant text and completion token count out of a Training API
+ * reply (accepts the common response shapes)
+ * @param {Object|String} payload - Reply body (already unwrapped from `data`)
+ * @returns {Object} { content, completionTokens }
+ */
+function extractReply(payload) {
+  if (typeof payload === "string") {
+    return { content: payload, completionTokens: undefined };
+  }
+
+  const content =
+    payload?.reply ??
+    payload?.response ??
+    payload?.content ??
+    payload?.message ??
+    payload?.choices?.[0]?.message?.content ??
+    payload?.delta ??
+    payload?.text ??
+    payload?.choices?.[0]?.delta?.content ??
+    "";
+
+  return {
+    content: typeof content === "string" ? content : JSON.stringify(content),
+    completionTokens: payload?.usage?.completion_tokens,
+  };
+}
+
+/**
+ * Accumulate the assistant reply from a relayed SSE stream
+ * @returns {Object} { push(chunk), result() -> { content, completionTokens } }
+ */
+function createStreamCollector() {
+  // Keeps partial multi-byte characters until the rest of them arrives
+  const decoder = new StringDecoder("utf8");
+  let buffer = "";
+  let content = "";
+  let completionTokens;
+
+  const handleEvent = (raw) => {
+    const data = raw
+      .split("\n")
+      .filter((line) => line.startsWith("data:"))
+      .map((line) => line.slice(5).trim())
+      .join("\n");
+    if (!data || data === "[DONE]") return;
+
+    try {
+      const reply = extractReply(JSON.parse(data));
+      content += reply.content;
+      if (reply.completionTokens !== undefined) {
+        completionTokens = reply.completionTokens;
+      }
+    } catch {
+      content += data;
+    }
+  };
+
+  return {
+    push(chunk) {
+      const text = typeof chunk === "string" ? chunk : decoder.write(chunk);
+      // Normalized on the whole buffer so a \r\n split across chunks is
+      // still caught
+      buffer = (buffer + text).replace(/\r\n/g, "\n");
+      let boundary;
+      while ((boundary = buffer.indexOf("\n\n")) !== -1) {
+        handleEvent(buffer.slice(0, boundary));
+        buffer = buffer.slice(boundary + 2);
+      }
+    },
+    result() {
+      buffer = (buffer + decoder.end()).replace(/\r\n/g, "\n");
+      if (buffer.trim()) handleEvent(buffer);
+      buffer = "";
+      return { content, completionTokens };
+    },
+  };
+}
+
+module.exports = {
+  validateMessages,
+  getChatAgent,
+  sendChat,
+  extractReply,
+  createStreamCollector,
+};
@@ -0,0 +1,449 @@
+const crypto = require("crypto");
+const pool = require("../config/database");
+const chatService = require("./chatService");
+const { ownerScope } = require("../utils/identity");
+const { encodeCursor, decodeCursor } = require("../utils/cursor");
+const { NotFoundError, UpstreamUnavailableError } = require("../utils/errors");
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+// Prior turns sent upstream with each new message
+const HISTORY_LIMIT = parseInt(process.env.CHAT_HISTORY_LIMIT) || 50;
+
+const EMAIL_PATTERN = /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{7,}\d/g;
+
+/**
+ * Rough token estimate for turns the upstream doesn't count for us
+ * @param {String} text - Message content
+ * @returns {Number} Estimated tokens (~4 characters each)
+ */
+function estimateTokens(text) {
+  return Math.ceil((text || "").length / 4);
+}
+
+/**
+ * Stable pseudonym for a user within one agent's conversations
+ * Keyed with CONVERSATION_PSEUDONYM_SECRET: user ids are small serials, so an
+ * unkeyed hash could be reversed by hashing every candidate id.
+ */
+function pseudonym(agentId, userId) {
+  const secret = process.env.CONVERSATION_PSEUDONYM_SECRET;
+  if (!secret) {
+    throw new UpstreamUnavailableError(
+      "Conversation pseudonyms are not configured (CONVERSATION_PSEUDONYM_SECRET)",
+      { status: 503 }
+    );
+  }
+
+  const hash = crypto
+    .createHmac("sha256", secret)
+    .update(`${agentId}:${userId}`)
+    .digest("hex");
+  return `user-${hash.slice(0, 10)}`;
+}
+
+/**
+ * Strip contact details users may have typed into a message
+ */
+function scrubContent(content) {
+  return content
+    .replace(EMAIL_PATTERN, "[email]")
+    .replace(PHONE_PATTERN, "[phone]");
+}
+
+/**
+ * Fetch one page of messages, newest page first, chronological within it
+ * @returns {Promise<Object>} { messages, nextCursor }
+ */
+async function fetchMessagePage(client, conversationId, options = {}) {
+  const limit = Math.min(options.limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+  const values = [conversationId];
+  let cursorClause = "";
+  if (options.cursor) {
+    values.push(decodeCursor(options.cursor).id);
+    cursorClause = `AND id < $2`;
+  }
+  values.push(limit + 1);
+
+  const result = await client.query(
+    `SELECT id, role, content, token_count, created_at
+     FROM conversation_messages
+     WHERE conversation_id = $1 ${cursorClause}
+     ORDER BY id DESC
+     LIMIT $${values.length};`,
+    values
+  );
+
+  const page = result.rows.slice(0, limit);
+  const oldest = page[page.length - 1];
+
+  return {
+    messages: page.reverse(),
+    nextCursor:
+      result.rows.length > limit ? encodeCursor(null, oldest.id) : null,
+  };
+}
+
+/**
+ * Load a conversation that belongs to the caller
+ */
+async function fetchOwnConversation(client, identity, conversationId) {
+  const result = await client.query(
+    `SELECT c.id, c.agent_id, a.name as agent_name, c.title,
+       c.created_at, c.updated_at
+     FROM conversations c
+     JOIN agents a ON c.agent_id = a.id
+     WHERE c.id = $1 AND c.user_id = $2;`,
+    [conversationId, identity.id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError("Conversation not found");
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Start a conversation with an agent
+ * @param {Object} identity - Authenticated caller
+ * @param {Number} agentId - Agent integer ID
+ * @param {String} [title] - Optional title
+ * @returns {Promise<Object>} Created conversation
+ */
+async function createConversation(identity, agentId, title = null) {
+  // Same availability and paid-access checks as chatting
+  await chatService.getChatAgent(identity, agentId);
+
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `INSERT INTO conversations (agent_id, user_id, title)
+       VALUES ($1, $2, $3)
+       RETURNING id, agent_id, title, created_at, updated_at;`,
+      [agentId, identity.id, title]
+    );
+
+    return {
+      success: true,
+      message: "Conversation created successfully",
+      data: result.rows[0],
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the caller's conversations, most recently active first
+ * @param {Object} identity - Authenticated caller
+ * @param {Number} [agentId] - Restrict to one agent
+ * @returns {Promise<Object>} Conversations with message counts
+ */
+async function listConversations(identity, agentId) {
+  const client = await pool.connect();
+
+  try {
+    const values = [identity.id];
+    let agentClause = "";
+    if (agentId !== undefined) {
+      values.push(agentId);
+      agentClause = `AND c.agent_id = $2`;
+    }
+
+    const result = await client.query(
+      `SELECT c.id, c.agent_id, a.name as agent_name, c.title,
+         c.created_at, c.updated_at,
+         COUNT(m.id)::int as message_count,
+         COALESCE(SUM(m.token_count), 0)::int as token_count
+       FROM conversations c
+       JOIN agents a ON c.agent_id = a.id
+       LEFT JOIN conversation_messages m ON m.conversation_id = c.id
+       WHERE c.user_id = $1 ${agentClause}
+       GROUP BY c.id, a.name
+       ORDER BY c.updated_at DESC;`,
+      values
+    );
+
+    return {
+      success: true,
+      message: "Conversations retrieved successfully",
+      data: result.rows,
+      count: result.rows.length,
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get one of the caller's conversations with a page of messages
+ * @param {Object} identity - Authenticated caller
+ * @param {Number} conversationId - Conversation integer ID
+ * @param {Object} [options] - { limit, cursor } (cursor pages to older messages)
+ * @returns {Promise<Object>} Conversation, messages and next_cursor
+ */
+async function getConversation(identity, conversationId, options = {}) {
+  const client = await pool.connect();
+
+  try {
+    const conversation = await fetchOwnConversation(
+      client,
+      identity,
+      conversationId
+    );
+    const { messages, nextCursor } = await fetchMessagePage(
+      client,
+      conversationId,
+      options
+    );
+
+    return {
+      success: true,
+      message: "Conversation retrieved successfully",
+      data: { ...conversation, messages },
+      next_cursor: nextCursor,
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete one of the caller's conversations and its messages
+ * @param {Object} identity - Authenticated caller
+ * @param {Number} conversationId - Conversation integer ID
+ * @returns {Promise<Object>} Deletion result
+ */
+async function deleteConversation(identity, conversationId) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `DELETE FROM conversations
+       WHERE id = $1 AND user_id = $2
+       RETURNING id;`,
+      [conversationId, identity.id]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError("Conversation not found");
+    }
+
+    return {
+      success: true,
+      message: "Conversation deleted successfully",
+      data: { id: result.rows[0].id },
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Load the recent turns of a conversation for an upstream chat call
+ * @param {Object} identity - Authenticated caller (must own the conversation)
+ * @param {Number} conversationId - Conversation integer ID
+ * @param {Number} agentId - Agent the chat targets (must match)
+ * @returns {Promise<Array>} [{ role, content }] oldest first
+ */
+async function getChatHistory(identity, conversationId, agentId) {
+  const client = await pool.connect();
+
+  try {
+    const conversation = await fetchOwnConversation(
+      client,
+      identity,
+      conversationId
+    );
+    if (String(conversation.agent_id) !== String(agentId)) {
+      throw new NotFoundError("Conversation not found for this agent");
+    }
+
+    const result = await client.query(
+      `SELECT role, content FROM (
+         SELECT id, role, content FROM conversation_messages
+         WHERE conversation_id = $1
+         ORDER BY id DESC
+         LIMIT $2
+       ) recent
+       ORDER BY id;`,
+      [conversationId, HISTORY_LIMIT]
+    );
+
+    return result.rows;
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Append a turn to a conversation
+ * @param {Number} conversationId - Conversation integer ID
+ * @param {String} role - user | assistant
+ * @param {String} content - Message text
+ * @param {Number} [tokenCount] - Tokens reported upstream (estimated if omitted)
+ * @returns {Promise<Object>} Stored message
+ */
+async function recordMessage(conversationId, role, content, tokenCount) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(
+      `INSERT INTO conversation_messages
+         (conversation_id, role, content, token_count)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, role, content, token_count, created_at;`,
+      [conversationId, role, content, tokenCount ?? estimateTokens(content)]
+    );
+    await client.query(
+      `UPDATE conversations SET updated_at = CURRENT_TIMESTAMP WHERE id = $1;`,
+      [conversationId]
+    );
+    await client.query("COMMIT");
+
+    return result.rows[0];
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Verify the caller owns (or administers) an agent
+ */
+async function assertAgentOwner(client, identity, agentId) {
+  const values = [agentId];
+  const result = await client.query(
+    `SELECT id FROM agents WHERE id = $1 ${ownerScope(identity, values)};`,
+    values
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError("Agent not found or access denied");
+  }
+}
+
+/**
+ * Creator view: conversations with one of their agents, anonymized
+ * @param {Object} identity - Authenticated caller (agent owner or admin)
+ * @param {Number} agentId - Agent integer ID
+ * @returns {Promise<Object>} Conversations labelled by pseudonym
+ */
+async function listAgentConversations(identity, agentId) {
+  const client = await pool.connect();
+
+  try {
+    await assertAgentOwner(client, identity, agentId);
+
+    const result = await client.query(
+      `SELECT c.id, c.user_id, c.created_at, c.updated_at,
+         COUNT(m.id)::int as message_count,
+         COALESCE(SUM(m.token_count), 0)::int as token_count
+       FROM conversations c
+       LEFT JOIN conversation_messages m ON m.conversation_id = c.id
+       WHERE c.agent_id = $1
+       GROUP BY c.id
+       ORDER BY c.updated_at DESC;`,
+      [agentId]
+    );
+
+    return {
+      success: true,
+      message: "Agent conversations retrieved successfully",
+      data: result.rows.map(({ user_id, ...conversation }) => ({
+        ...conversation,
+        participant: pseudonym(agentId, user_id),
+      })),
+      count: result.rows.length,
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Creator view: one conversation with their agent, anonymized
+ * @param {Object} identity - Authenticated caller (agent owner or admin)
+ * @param {Number} agentId - Agent integer ID
+ * @param {Number} conversationId - Conversation integer ID
+ * @param {Object} [options] - { limit, cursor }
+ * @returns {Promise<Object>} Conversation with scrubbed messages
+ */
+async function getAgentConversation(
+  identity,
+  agentId,
+  conversationId,
+  options = {}
+) {
+  const client = await pool.connect();
+
+  try {
+    await assertAgentOwner(client, identity, agentId);
+
+    const result = await client.query(
+      `SELECT id, user_id, created_at, updated_at
+       FROM conversations
+       WHERE id = $1 AND agent_id = $2;`,
+      [conversationId, agentId]
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError("Conversation not found");
+    }
+
+    const { user_id, ...conversation } = result.rows[0];
+    const { messages, nextCursor } = await fetchMessagePage(
+      client,
+      conversationId,
+      options
+    );
+
+    return {
+      success: true,
+      message: "Agent conversation retrieved successfully",
+      data: {
+        ...conversation,
+        participant: pseudonym(agentId, user_id),
+        messages: messages.map((message) => ({
+          ...message,
+          content: scrubContent(message.content),
+        })),
+      },
+      next_cursor: nextCursor,
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  estimateTokens,
+  createConversation,
+  listConversations,
+  getConversation,
+  deleteConversation,
+  getChatHistory,
+  recordMessage,
+  listAgentConversations,
+  getAgentConversation,
+};
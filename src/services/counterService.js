@@ -0,0 +1,107 @@
+const pool = require("../config/database");
+const logger = require("../utils/logger");
+
+/**
+ * Fixed-window counters for rate limits and daily quotas
+ * RATE_LIMIT_STORE=postgres (default) shares counts between instances through
+ * rate_limit_counters; RATE_LIMIT_STORE=memory keeps them in this process
+ * (single-instance deployments, tests).
+ */
+
+const STORE = process.env.RATE_LIMIT_STORE === "memory" ? "memory" : "postgres";
+
+// Expired windows are swept at most this often
+const SWEEP_INTERVAL_MS = 60 * 1000;
+
+const memoryCounters = new Map();
+let lastSweep = 0;
+
+/**
+ * Start of the window containing `now`
+ */
+function windowStart(windowMs, now = Date.now()) {
+  return Math.floor(now / windowMs) * windowMs;
+}
+
+/**
+ * Drop expired windows (memory) or delete their rows (postgres)
+ */
+function sweep(now) {
+  if (now - lastSweep < SWEEP_INTERVAL_MS) return;
+  lastSweep = now;
+
+  if (STORE === "memory") {
+    for (const [key, counter] of memoryCounters) {
+      if (counter.resetAt <= now) memoryCounters.delete(key);
+    }
+    return;
+  }
+
+  pool
+    .query(`DELETE FROM rate_limit_counters WHERE expires_at < NOW();`)
+    .catch((error) =>
+      logger.error("Failed to sweep rate limit counters", { error })
+    );
+}
+
+/**
+ * Add to a counter in the current window
+ * @param {String} key - Counter name (e.g. "rl:create:user:12")
+ * @param {Number} windowMs - Window length
+ * @param {Number} [by] - Amount to add (negative to give back)
+ * @returns {Promise<Object>} { count, resetAt } (resetAt in epoch ms)
+ */
+async function increment(key, windowMs, by = 1) {
+  const now = Date.now();
+  const start = windowStart(windowMs, now);
+  const resetAt = start + windowMs;
+  sweep(now);
+
+  if (STORE === "memory") {
+    const id = `${key}@${start}`;
+    const counter = memoryCounters.get(id) || { count: 0, resetAt };
+    counter.count += by;
+    memoryCounters.set(id, counter);
+    return { count: counter.count, resetAt };
+  }
+
+  const result = await pool.query(
+    `INSERT INTO rate_limit_counters (key, window_start, count, expires_at)
+     VALUES ($1, to_timestamp($2 / 1000.0), $3, to_timestamp($4 / 1000.0))
+     ON CONFLICT (key, window_start)
+     DO UPDATE SET count = rate_limit_counters.count + EXCLUDED.count
+     RETURNING count;`,
+    [key, start, by, resetAt]
+  );
+
+  return { count: result.rows[0].count, resetAt };
+}
+
+/**
+ * Read a counter in the current window without changing it
+ * @param {String} key - Counter name
+ * @param {Number} windowMs - Window length
+ * @returns {Promise<Object>} { count, resetAt }
+ */
+async function peek(key, windowMs) {
+  const start = windowStart(windowMs);
+  const resetAt = start + windowMs;
+
+  if (STORE === "memory") {
+    const counter = memoryCounters.get(`${key}@${start}`);
+    return { count: counter ? counter.count : 0, resetAt };
+  }
+
+  const result = await pool.query(
+    `SELECT count FROM rate_limit_counters
+     WHERE key = $1 AND window_start = to_timestamp($2 / 1000.0);`,
+    [key, start]
+  );
+
+  return { count: result.rows[0]?.count || 0, resetAt };
+}
+
+module.exports = {
+  increment,
+  peek,
+};
@@ -0,0 +1,425 @@
+const crypto = require("crypto");
+const path = require("path");
+const {
+  PutObjectCommand,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  ListObjectsV2Command,
+  DeleteObjectsCommand,
+} = require("@aws-sdk/client-s3");
+const pool = require("../config/database");
+const storage = require("../config/storage");
+const trainingApi = require("../utils/trainingApiClient");
+const quotaService = require("./quotaService");
+const logger = require("../utils/logger");
+const { ownerScope } = require("../utils/identity");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+
+const MAX_DOCUMENT_BYTES =
+  parseInt(process.env.DOCUMENT_MAX_BYTES) || 10 * 1024 * 1024;
+
+// Accepted extensions and the content types browsers send for them
+const DOCUMENT_TYPES = {
+  ".pdf": ["application/pdf"],
+  ".txt": ["text/plain"],
+  ".md": ["text/markdown", "text/x-markdown", "text/plain"],
+  ".docx": [
+    "application/vnd.openxmlformats-officedocument.wordprocessingml.document",
+  ],
+};
+
+const DOCUMENT_COLUMNS = `id, agent_id, uploaded_by, filename, content_type,
+  size_bytes, training_status, training_document_id, training_error,
+  created_at, submitted_at`;
+
+/**
+ * Check an uploaded file's name, type and size
+ * @param {Object} file - { originalname, mimetype, size? }
+ * @returns {String|null} Error message, or null if the file is acceptable
+ */
+function checkDocumentFile(file) {
+  const extension = path.extname(file.originalname || "").toLowerCase();
+  const types = DOCUMENT_TYPES[extension];
+
+  if (!types) {
+    return `file must be one of: ${Object.keys(DOCUMENT_TYPES).join(", ")}`;
+  }
+  // Some clients label every upload application/octet-stream
+  if (
+    file.mimetype !== "application/octet-stream" &&
+    !types.includes(file.mimetype)
+  ) {
+    return `file content type must be one of: ${types.join(", ")} for ${extension}`;
+  }
+  if (file.size !== undefined && file.size > MAX_DOCUMENT_BYTES) {
+    return `file must be at most ${MAX_DOCUMENT_BYTES} bytes`;
+  }
+
+  return null;
+}
+
+/**
+ * S3 prefix holding all of an agent's documents
+ */
+function agentPrefix(agentId) {
+  return `agents/${agentId}/documents/`;
+}
+
+/**
+ * Load an agent the caller owns (or administers)
+ */
+async function fetchOwnedAgent(client, agentId, identity) {
+  const values = [agentId];
+  const result = await client.query(
+    `SELECT id, creator_id, training_api_uuid FROM agents
+     WHERE id = $1 AND deleted_at IS NULL ${ownerScope(identity, values)};`,
+    values
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError("Agent not found or access denied");
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Load one of an agent's documents (including its S3 key)
+ */
+async function fetchDocument(client, agentId, documentId) {
+  const result = await client.query(
+    `SELECT ${DOCUMENT_COLUMNS}, s3_key FROM agent_documents
+     WHERE id = $1 AND agent_id = $2;`,
+    [documentId, agentId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError("Document not found");
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Send a document to the Training API and record the outcome
+ * Failures are stored on the row rather than thrown, so the upload itself
+ * still succeeds and can be resubmitted.
+ * @returns {Promise<Object>} Updated document row
+ */
+async function submitToTraining(client, agent, document, body) {
+  let status = "submitted";
+  let trainingDocumentId = null;
+  let trainingError = null;
+
+  try {
+    const form = new FormData();
+    form.append(
+      "file",
+      new Blob([body], { type: document.content_type }),
+      document.filename
+    );
+    form.append("document_id", String(document.id));
+
+    const response = await trainingApi.uploadDocument(
+      agent.training_api_uuid,
+      form
+    );
+    trainingDocumentId =
+      response.data?.data?.document_id ||
+      response.data?.document_id ||
+      response.data?.data?.id ||
+      null;
+  } catch (error) {
+    logger.warn("Training API document upload failed", {
+      agent_id: agent.id,
+      document_id: document.id,
+      error,
+    });
+    status = "failed";
+    trainingError = error.response?.data?.message || error.message;
+  }
+
+  const result = await client.query(
+    `UPDATE agent_documents
+     SET training_status = $1, training_document_id = $2, training_error = $3,
+       submitted_at = CASE WHEN $1::varchar = 'submitted'
+         THEN CURRENT_TIMESTAMP ELSE submitted_at END
+     WHERE id = $4
+     RETURNING ${DOCUMENT_COLUMNS};`,
+    [status, trainingDocumentId, trainingError, document.id]
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Store an uploaded document in S3 and hand it to the Training API
+ * @param {Number} agentId - Agent integer ID
+ * @param {Object} identity - Authenticated caller (for ownership verification)
+ * @param {Object} file - multer file ({ originalname, mimetype, size, buffer })
+ * @returns {Promise<Object>} Stored document
+ */
+async function uploadDocument(agentId, identity, file) {
+  const fileError = checkDocumentFile(file);
+  if (fileError) {
+    throw new ValidationError(fileError);
+  }
+
+  const client = await pool.connect();
+
+  try {
+    const agent = await fetchOwnedAgent(client, agentId, identity);
+    if (!agent.training_api_uuid) {
+      throw new ConflictError(
+        "Agent must be synced with the Training API before uploading documents"
+      );
+    }
+
+    // Uploads count against the agent owner's plan, whoever sends them
+    const releaseUpload = await quotaService.consumeUpload(
+      client,
+      agent.creator_id
+    );
+
+    const filename = path.basename(file.originalname).slice(0, 255);
+    const s3Key = `${agentPrefix(agent.id)}${crypto.randomUUID()}${path
+      .extname(filename)
+      .toLowerCase()}`;
+
+    let document;
+    try {
+      await storage.s3.send(
+        new PutObjectCommand({
+          Bucket: storage.bucket,
+          Key: s3Key,
+          Body: file.buffer,
+          ContentType: file.mimetype,
+        })
+      );
+    } catch (error) {
+      await releaseUpload().catch(() => {});
+      throw error;
+    }
+
+    try {
+      const result = await client.query(
+        `INSERT INTO agent_documents
+           (agent_id, uploaded_by, filename, content_type, size_bytes, s3_key)
+         VALUES ($1, $2, $3, $4, $5, $6)
+         RETURNING ${DOCUMENT_COLUMNS};`,
+        [agent.id, identity.id, filename, file.mimetype, file.size, s3Key]
+      );
+      document = result.rows[0];
+    } catch (error) {
+      // Don't leave an untracked object behind
+      await storage.s3
+        .send(new DeleteObjectCommand({ Bucket: storage.bucket, Key: s3Key }))
+        .catch(() => {});
+      await releaseUpload().catch(() => {});
+      throw error;
+    }
+
+    const submitted = await submitToTraining(
+      client,
+      agent,
+      document,
+      file.buffer
+    );
+
+    return {
+      success: true,
+      message:
+        submitted.training_status === "submitted"
+          ? "Document uploaded successfully"
+          : "Document stored but the Training API upload failed",
+      data: submitted,
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Resend a stored document to the Training API (e.g. after a failed upload)
+ * @param {Number} agentId - Agent integer ID
+ * @param {Object} identity - Authenticated caller (for ownership verification)
+ * @param {Number} documentId - Document integer ID
+ * @returns {Promise<Object>} Updated document
+ */
+async function resubmitDocument(agentId, identity, documentId) {
+  const client = await pool.connect();
+
+  try {
+    const agent = await fetchOwnedAgent(client, agentId, identity);
+    if (!agent.training_api_uuid) {
+      throw new ConflictError(
+        "Agent must be synced with the Training API before uploading documents"
+      );
+    }
+    const { s3_key, ...document } = await fetchDocument(
+      client,
+      agent.id,
+      documentId
+    );
+
+    const object = await storage.s3.send(
+      new GetObjectCommand({ Bucket: storage.bucket, Key: s3_key })
+    );
+    const body = await object.Body.transformToByteArray();
+
+    const submitted = await submitToTraining(client, agent, document, body);
+
+    return {
+      success: true,
+      message:
+        submitted.training_status === "submitted"
+          ? "Document submitted successfully"
+          : "Training API upload failed",
+      data: submitted,
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List an agent's documents, newest first
+ * @param {Number} agentId - Agent integer ID
+ * @param {Object} identity - Authenticated caller (for ownership verification)
+ * @returns {Promise<Object>} Documents
+ */
+async function listDocuments(agentId, identity) {
+  const client = await pool.connect();
+
+  try {
+    const agent = await fetchOwnedAgent(client, agentId, identity);
+
+    const result = await client.query(
+      `SELECT ${DOCUMENT_COLUMNS} FROM agent_documents
+       WHERE agent_id = $1
+       ORDER BY created_at DESC, id DESC;`,
+      [agent.id]
+    );
+
+    return {
+      success: true,
+      message: "Documents retrieved successfully",
+      data: result.rows,
+      count: result.rows.length,
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete a document from S3, Postgres and the Training API
+ * @param {Number} agentId - Agent integer ID
+ * @param {Object} identity - Authenticated caller (for ownership verification)
+ * @param {Number} documentId - Document integer ID
+ * @returns {Promise<Object>} Deletion result
+ */
+async function deleteDocument(agentId, identity, documentId) {
+  const client = await pool.connect();
+
+  try {
+    const agent = await fetchOwnedAgent(client, agentId, identity);
+    const document = await fetchDocument(client, agent.id, documentId);
+
+    await storage.s3.send(
+      new DeleteObjectCommand({ Bucket: storage.bucket, Key: document.s3_key })
+    );
+    await client.query(`DELETE FROM agent_documents WHERE id = $1;`, [
+      document.id,
+    ]);
+
+    if (document.training_document_id && agent.training_api_uuid) {
+      try {
+        await trainingApi.deleteDocument(
+          agent.training_api_uuid,
+          document.training_document_id
+        );
+      } catch (error) {
+        // The local copy is gone either way; the Training API can be
+        // cleaned up by hand
+        logger.warn("Training API document delete failed", {
+          agent_id: agent.id,
+          document_id: document.id,
+          error,
+        });
+      }
+    }
+
+    return {
+      success: true,
+      message: "Document deleted successfully",
+      data: { id: document.id },
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Remove every stored object for an agent (after it is purged)
+ * Does nothing when S3_BUCKET is not configured. Not retried: the agent row
+ * is already gone, so objects left by a failed call stay under
+ * agentPrefix(agentId) until removed by hand.
+ * @param {Number} agentId - Agent integer ID
+ * @returns {Promise<Number>} Objects deleted
+ */
+async function deleteAgentObjects(agentId) {
+  if (!storage.bucket) return 0;
+
+  let deleted = 0;
+  let continuationToken;
+
+  do {
+    const listing = await storage.s3.send(
+      new ListObjectsV2Command({
+        Bucket: storage.bucket,
+        Prefix: agentPrefix(agentId),
+        ContinuationToken: continuationToken,
+      })
+    );
+    const objects = (listing.Contents || []).map(({ Key }) => ({ Key }));
+
+    if (objects.length > 0) {
+      await storage.s3.send(
+        new DeleteObjectsCommand({
+          Bucket: storage.bucket,
+          Delete: { Objects: objects, Quiet: true },
+        })
+      );
+      deleted += objects.length;
+    }
+
+    continuationToken = listing.IsTruncated
+      ? listing.NextContinuationToken
+      : undefined;
+  } while (continuationToken);
+
+  return deleted;
+}
+
+module.exports = {
+  MAX_DOCUMENT_BYTES,
+  checkDocumentFile,
+  uploadDocument,
+  resubmitDocument,
+  listDocuments,
+  deleteDocument,
+  deleteAgentObjects,
+};
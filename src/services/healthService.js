@@ -0,0 +1,150 @@
+const axios = require("axios");
+const { HeadBucketCommand } = require("@aws-sdk/client-s3");
+const pool = require("../config/database");
+const storage = require("../config/storage");
+const trainingApi = require("../utils/trainingApiClient");
+const { version } = require("../../package.json");
+
+// Per-dependency budget; probes run in parallel
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS) || 2000;
+
+// Probes bypass the Training API client, so an outage is reported instead of
+// retried, and probe failures don't trip its circuit breaker
+const probeClient = axios.create();
+
+let draining = false;
+
+/**
+ * Reject when a probe outlives its budget
+ */
+function withTimeout(promise, ms) {
+  let timer;
+  return Promise.race([
+    promise,
+    new Promise((resolve, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`timed out after ${ms}ms`)),
+        ms
+      );
+    }),
+  ]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Time one dependency check
+ * @param {Function} check - Resolves with extra details, throws when down
+ * @returns {Promise<Object>} { status: up | down, latency_ms, ... }
+ */
+async function runCheck(check) {
+  const started = Date.now();
+  try {
+    const details = await withTimeout(check(), CHECK_TIMEOUT_MS);
+    return { status: "up", latency_ms: Date.now() - started, ...details };
+  } catch (error) {
+    return {
+      status: "down",
+      latency_ms: Date.now() - started,
+      error: error.code || error.message,
+    };
+  }
+}
+
+/**
+ * Round-trip a query through the pool
+ */
+function checkDatabase() {
+  return runCheck(async () => {
+    await pool.query("SELECT 1;");
+  });
+}
+
+/**
+ * Probe the Training API base URL (any non-5xx answer means it is serving)
+ * @returns {Promise<Object>} { url, status, latency_ms, http_status | error }
+ */
+async function checkTrainingApi() {
+  const result = await runCheck(async () => {
+    const response = await probeClient.get(trainingApi.BASE_URL, {
+      timeout: CHECK_TIMEOUT_MS,
+      validateStatus: (status) => status < 500,
+    });
+    return { http_status: response.status };
+  });
+  return { url: trainingApi.BASE_URL, ...result };
+}
+
+/**
+ * Confirm the document bucket exists and the credentials can reach it
+ * (skipped when S3_BUCKET is not configured)
+ */
+function checkStorage() {
+  if (!storage.bucket) {
+    return Promise.resolve({ status: "skipped" });
+  }
+  return runCheck(async () => {
+    await storage.s3.send(new HeadBucketCommand({ Bucket: storage.bucket }));
+  });
+}
+
+/**
+ * Liveness: the process is up and serving requests
+ * @returns {Object} Service name, version and time
+ */
+function getLiveness() {
+  return {
+    service: "Creator Athena Microservice",
+    status: "Microservice is running successfully",
+    version,
+    uptime_s: Math.round(process.uptime()),
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Report not ready from now on (the server is shutting down), so load
+ * balancers stop sending traffic while in-flight requests drain
+ */
+function markDraining() {
+  draining = true;
+}
+
+/**
+ * Readiness: every configured dependency answers in time
+ * @returns {Promise<Object>} { ready, version, checks } or, while shutting
+ *   down, { ready: false, draining: true }
+ */
+async function getReadiness() {
+  if (draining) {
+    return {
+      ready: false,
+      draining: true,
+      version,
+      timestamp: new Date().toISOString(),
+    };
+  }
+
+  const [database, trainingApiCheck, storageCheck] = await Promise.all([
+    checkDatabase(),
+    checkTrainingApi(),
+    checkStorage(),
+  ]);
+  const checks = {
+    database,
+    training_api: trainingApiCheck,
+    storage: storageCheck,
+  };
+
+  return {
+    ready: Object.values(checks).every((check) => check.status !== "down"),
+    version,
+    timestamp: new Date().toISOString(),
+    checks,
+  };
+}
+
+module.exports = {
+  checkTrainingApi,
+  getLiveness,
+  getReadiness,
+  markDraining,
+};
@@ -0,0 +1,108 @@
+const pool = require("../config/database");
+const trainingApi = require("../utils/trainingApiClient");
+const logger = require("../utils/logger");
+const { client, registry } = require("../utils/metrics");
+
+/**
+ * Gauges read when Prometheus scrapes: connection pool usage, the Training
+ * API circuit breaker and domain counts from the database
+ */
+
+const CIRCUIT_STATES = { closed: 0, half_open: 1, open: 2 };
+
+new client.Gauge({
+  name: "db_pool_connections",
+  help: "pg pool clients by state (total, idle, waiting requests, max)",
+  labelNames: ["state"],
+  registers: [registry],
+  collect() {
+    this.set({ state: "total" }, pool.totalCount);
+    this.set({ state: "idle" }, pool.idleCount);
+    this.set({ state: "waiting" }, pool.waitingCount);
+    this.set({ state: "max" }, pool.options.max);
+  },
+});
+
+new client.Gauge({
+  name: "training_api_circuit_state",
+  help: "Training API circuit breaker (0 closed, 1 half open, 2 open)",
+  registers: [registry],
+  collect() {
+    this.set(CIRCUIT_STATES[trainingApi.getStats().breaker.state]);
+  },
+});
+
+const agentsTotal = new client.Gauge({
+  name: "agents_total",
+  help: "Live (not trashed) agents by role",
+  labelNames: ["role"],
+  registers: [registry],
+});
+
+const agentsUnsynced = new client.Gauge({
+  name: "agents_missing_training_uuid",
+  help: "Live agents not yet registered with the Training API",
+  registers: [registry],
+});
+
+const outboxEvents = new client.Gauge({
+  name: "training_sync_outbox_events",
+  help: "Unfinished Training API sync events by status",
+  labelNames: ["status"],
+  registers: [registry],
+});
+
+/**
+ * Refresh the domain gauges; on failure they keep their last values
+ */
+async function collectDomainGauges() {
+  try {
+    const agents = await pool.query(
+      `SELECT role, COUNT(*)::int AS count,
+         COUNT(*) FILTER (WHERE training_api_uuid IS NULL)::int AS unsynced
+       FROM agents
+       WHERE deleted_at IS NULL
+       GROUP BY role;`
+    );
+    const outbox = await pool.query(
+      `SELECT status, COUNT(*)::int AS count
+       FROM training_sync_outbox
+       WHERE status <> 'done'
+       GROUP BY status;`
+    );
+
+    agentsTotal.reset();
+    for (const role of ["free", "paid"]) agentsTotal.set({ role }, 0);
+    for (const row of agents.rows)
+      agentsTotal.set({ role: row.role }, row.count);
+    agentsUnsynced.set(
+      agents.rows.reduce((total, row) => total + row.unsynced, 0)
+    );
+
+    for (const status of ["pending", "processing", "failed"]) {
+      outboxEvents.set({ status }, 0);
+    }
+    for (const row of outbox.rows) {
+      outboxEvents.set({ status: row.status }, row.count);
+    }
+  } catch (error) {
+    logger.warn("Failed to collect domain metrics", { error });
+  }
+}
+
+/**
+ * Current metrics in the Prometheus text format
+ * @returns {Promise<Object>} { contentType, body }
+ */
+async function render() {
+  await collectDomainGauges();
+
+  return {
+    contentType: registry.contentType,
+    body: await registry.metrics(),
+  };
+}
+
+module.exports = {
+  render,
+};
@@ -0,0 +1,308 @@
+const pool = require("../config/database");
+const payments = require("../payments");
+const { resolveCreatorId } = require("../utils/identity");
+const {
+  ConflictError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+
+/**
+ * Decide whether a user may use an agent
+ * Free agents are open to everyone; paid agents need an active
+ * entitlement unless the caller is the creator or an admin.
+ * @param {Object} client - pg client
+ * @param {Object} identity - Authenticated caller
+ * @param {Object} agent - Row with id, creator_id and role
+ * @returns {Promise<Object>} { allowed, reason }
+ */
+async function resolveAccess(client, identity, agent) {
+  if (agent.role !== "paid") return { allowed: true, reason: "free" };
+  if (agent.creator_id === identity.id) {
+    return { allowed: true, reason: "creator" };
+  }
+  if (identity.isAdmin) return { allowed: true, reason: "admin" };
+
+  const result = await client.query(
+    `SELECT id FROM agent_entitlements
+     WHERE user_id = $1 AND agent_id = $2 AND revoked_at IS NULL;`,
+    [identity.id, agent.id]
+  );
+
+  return result.rows.length > 0
+    ? { allowed: true, reason: "purchased" }
+    : { allowed: false, reason: "purchase_required" };
+}
+
+/**
+ * Load an agent that is available in the catalog
+ */
+async function fetchAvailableAgent(client, agentId) {
+  const result = await client.query(
+    `SELECT id, creator_id, name, role, price_amount, price_currency
+     FROM agents
+     WHERE id = $1 AND is_active = true AND deleted_at IS NULL;`,
+    [agentId]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError("Agent not found");
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Check whether the caller may use an agent
+ * @param {Object} identity - Authenticated caller
+ * @param {Number} agentId - Agent integer ID
+ * @returns {Promise<Object>} Access decision
+ */
+async function checkAccess(identity, agentId) {
+  const client = await pool.connect();
+
+  try {
+    const agent = await fetchAvailableAgent(client, agentId);
+    const access = await resolveAccess(client, identity, agent);
+
+    return {
+      success: true,
+      message: access.allowed ? "Access granted" : "Purchase required",
+      data: {
+        agent_id: agent.id,
+        ...access,
+        ...(access.allowed
+          ? {}
+          : {
+              price_amount: agent.price_amount,
+              currency: agent.price_currency,
+            }),
+      },
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Start a purchase of a paid agent
+ * Creates a pending order and a checkout with the active payment provider.
+ * @param {Object} identity - Authenticated caller (the buyer)
+ * @param {Number} agentId - Agent integer ID
+ * @returns {Promise<Object>} Pending order with checkout_url
+ */
+async function startPurchase(identity, agentId) {
+  const provider = payments.getActiveProvider();
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const agent = await fetchAvailableAgent(client, agentId);
+
+    if (agent.role !== "paid") {
+      throw new ValidationError("Agent is free - no purchase is needed");
+    }
+    if (!(Number(agent.price_amount) > 0)) {
+      throw new ValidationError(
+        "Agent has no price set and cannot be purchased"
+      );
+    }
+
+    const access = await resolveAccess(client, identity, agent);
+    if (access.allowed) {
+      throw new ConflictError(
+        `User already has access to this agent (${access.reason})`
+      );
+    }
+
+    const orderResult = await client.query(
+      `INSERT INTO agent_orders
+         (agent_id, creator_id, buyer_id, amount, currency, provider)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *;`,
+      [
+        agent.id,
+        agent.creator_id,
+        identity.id,
+        agent.price_amount,
+        agent.price_currency,
+        provider.name,
+      ]
+    );
+    const order = orderResult.rows[0];
+
+    const checkout = await provider.createCheckout(order);
+
+    const updated = await client.query(
+      `UPDATE agent_orders
+       SET provider_ref = $1, checkout_url = $2
+       WHERE id = $3
+       RETURNING *;`,
+      [checkout.providerRef, checkout.checkoutUrl, order.id]
+    );
+
+    await client.query("COMMIT");
+
+    return {
+      success: true,
+      message: "Purchase started",
+      data: updated.rows[0],
+    };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Apply a verified payment-provider webhook
+ * Marks the order paid (granting the entitlement) or failed. Replays of an
+ * already-applied event are no-ops.
+ * @param {String} providerName - Provider the webhook came from
+ * @param {Object} event - { providerRef, status } from provider.parseWebhook
+ * @returns {Promise<Object>} Updated order
+ */
+async function confirmPayment(providerName, event) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const orderResult = await client.query(
+      `SELECT * FROM agent_orders
+       WHERE provider = $1 AND provider_ref = $2
+       FOR UPDATE;`,
+      [providerName, event.providerRef]
+    );
+
+    if (orderResult.rows.length === 0) {
+      throw new NotFoundError("Order not found");
+    }
+
+    let order = orderResult.rows[0];
+
+    if (order.status === "pending") {
+      const updated = await client.query(
+        `UPDATE agent_orders
+         SET status = $1, updated_at = CURRENT_TIMESTAMP,
+             paid_at = CASE WHEN $1::varchar = 'paid' THEN CURRENT_TIMESTAMP END
+         WHERE id = $2
+         RETURNING *;`,
+        [event.status, order.id]
+      );
+      order = updated.rows[0];
+
+      if (order.status === "paid" && order.agent_id) {
+        await client.query(
+          `INSERT INTO agent_entitlements (user_id, agent_id, order_id)
+           VALUES ($1, $2, $3)
+           ON CONFLICT (user_id, agent_id)
+           DO UPDATE SET order_id = EXCLUDED.order_id,
+             granted_at = CURRENT_TIMESTAMP, revoked_at = NULL;`,
+          [order.buyer_id, order.agent_id, order.id]
+        );
+      }
+    }
+
+    await client.query("COMMIT");
+
+    return {
+      success: true,
+      message: `Order ${order.status}`,
+      data: order,
+    };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get the caller's orders, newest first
+ * @param {Object} identity - Authenticated caller
+ * @returns {Promise<Object>} Orders
+ */
+async function getOrders(identity) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT o.id, o.agent_id, a.name as agent_name, o.amount, o.currency,
+         o.status, o.provider, o.checkout_url, o.created_at, o.paid_at
+       FROM agent_orders o
+       LEFT JOIN agents a ON o.agent_id = a.id
+       WHERE o.buyer_id = $1
+       ORDER BY o.created_at DESC;`,
+      [identity.id]
+    );
+
+    return {
+      success: true,
+      message: "Orders retrieved successfully",
+      data: result.rows,
+      count: result.rows.length,
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Paid sales totals per agent and currency for a creator
+ * @param {Object} identity - Authenticated caller
+ * @param {Number} [requestedCreatorId] - Creator to report on (admins only; defaults to the caller)
+ * @param {Number} [agentId] - Restrict to one agent
+ * @returns {Promise<Object>} Totals rows
+ */
+async function getSalesTotals(identity, requestedCreatorId, agentId) {
+  const creatorId = resolveCreatorId(identity, requestedCreatorId);
+  const client = await pool.connect();
+
+  try {
+    const values = [creatorId];
+    let agentClause = "";
+    if (agentId !== undefined) {
+      values.push(agentId);
+      agentClause = `AND o.agent_id = $2`;
+    }
+
+    const result = await client.query(
+      `SELECT o.agent_id, a.name as agent_name, o.currency,
+         COUNT(*)::int as orders, SUM(o.amount) as total_amount
+       FROM agent_orders o
+       LEFT JOIN agents a ON o.agent_id = a.id
+       WHERE o.creator_id = $1 AND o.status = 'paid' ${agentClause}
+       GROUP BY o.agent_id, a.name, o.currency
+       ORDER BY o.agent_id, o.currency;`,
+      values
+    );
+
+    return {
+      success: true,
+      message: "Sales totals retrieved successfully",
+      data: result.rows,
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  resolveAccess,
+  checkAccess,
+  startPurchase,
+  confirmPayment,
+  getOrders,
+  getSalesTotals,
+};
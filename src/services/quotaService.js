@@ -0,0 +1,138 @@
+const pool = require("../config/database");
+const counterService = require("./counterService");
+const { limitsFor } = require("../config/plans");
+const { resolveCreatorId } = require("../utils/identity");
+const { NotFoundError, QuotaExceededError } = require("../utils/errors");
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Counter key for a creator's uploads in the current (UTC) day
+ */
+function uploadKey(creatorId) {
+  return `quota:uploads:${creatorId}`;
+}
+
+/**
+ * Count a creator's live agents (trashed agents don't use quota)
+ */
+async function countAgents(client, creatorId) {
+  const result = await client.query(
+    `SELECT COUNT(*)::int AS count FROM agents
+     WHERE creator_id = $1 AND deleted_at IS NULL;`,
+    [creatorId]
+  );
+  return result.rows[0].count;
+}
+
+/**
+ * Check that a creator may own one more agent
+ * Locks the creator's user row so concurrent creates and restores for the
+ * same creator are counted one at a time; call inside a transaction.
+ * @param {Object} client - pg client inside an open transaction
+ * @param {Number} creatorId - users.id of the agent's owner
+ */
+async function assertAgentQuota(client, creatorId) {
+  const userResult = await client.query(
+    `SELECT plan FROM users WHERE id = $1 FOR UPDATE;`,
+    [creatorId]
+  );
+  // Unknown creators fail on the agents foreign key instead
+  if (userResult.rows.length === 0) return;
+
+  const { plan } = userResult.rows[0];
+  const { max_agents } = limitsFor(plan);
+  if (max_agents === null) return;
+
+  if ((await countAgents(client, creatorId)) >= max_agents) {
+    throw new QuotaExceededError(
+      `Agent limit reached - the ${plan} plan allows ${max_agents} agents`
+    );
+  }
+}
+
+/**
+ * Take one of the creator's daily uploads
+ * @param {Object} client - pg client
+ * @param {Number} creatorId - users.id of the agent's owner
+ * @returns {Promise<Function>} Gives the upload back (call if it fails)
+ */
+async function consumeUpload(client, creatorId) {
+  const userResult = await client.query(
+    `SELECT plan FROM users WHERE id = $1;`,
+    [creatorId]
+  );
+  const plan = userResult.rows[0]?.plan;
+  const { max_uploads_per_day } = limitsFor(plan);
+  const release = () =>
+    counterService.increment(uploadKey(creatorId), DAY_MS, -1);
+
+  if (max_uploads_per_day === null) return async () => {};
+
+  const { count, resetAt } = await counterService.increment(
+    uploadKey(creatorId),
+    DAY_MS
+  );
+  if (count > max_uploads_per_day) {
+    await release();
+    throw new QuotaExceededError(
+      `Upload limit reached - the ${plan} plan allows ${max_uploads_per_day} uploads per day`,
+      Math.ceil((resetAt - Date.now()) / 1000)
+    );
+  }
+
+  return release;
+}
+
+/**
+ * Current plan limits and usage for a creator
+ * @param {Object} identity - Authenticated caller
+ * @param {Number} [requestedCreatorId] - Creator to inspect (admins only; defaults to the caller)
+ * @returns {Promise<Object>} { plan, agents, uploads_today }
+ */
+async function getUsage(identity, requestedCreatorId) {
+  const creatorId = resolveCreatorId(identity, requestedCreatorId);
+  const client = await pool.connect();
+
+  try {
+    const userResult = await client.query(
+      `SELECT plan FROM users WHERE id = $1;`,
+      [creatorId]
+    );
+    if (userResult.rows.length === 0) {
+      throw new NotFoundError("Creator not found");
+    }
+    const { plan } = userResult.rows[0];
+    const limits = limitsFor(plan);
+
+    const uploads = await counterService.peek(uploadKey(creatorId), DAY_MS);
+
+    return {
+      success: true,
+      message: "Usage retrieved successfully",
+      data: {
+        creator_id: creatorId,
+        plan,
+        agents: {
+          used: await countAgents(client, creatorId),
+          limit: limits.max_agents,
+        },
+        uploads_today: {
+          used: uploads.count,
+          limit: limits.max_uploads_per_day,
+          resets_at: new Date(uploads.resetAt).toISOString(),
+        },
+      },
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  assertAgentQuota,
+  consumeUpload,
+  getUsage,
+};
@@ -0,0 +1,294 @@
+const pool = require("../config/database");
+const { ownerScope } = require("../utils/identity");
+const {
+  validateVariables,
+  validatePrompt,
+} = require("../utils/promptTemplate");
+const {
+  ForbiddenError,
+  NotFoundError,
+  ValidationError,
+} = require("../utils/errors");
+
+// Agent settings a template carries (pricing and activation stay per agent)
+const TEMPLATE_FIELDS = [
+  "description",
+  "personality_name",
+  "tone",
+  "trait_array",
+  "system_prompt",
+  "prompt_variables",
+  "model",
+  "temperature",
+  "max_tokens",
+];
+
+const VISIBILITIES = ["private", "system"];
+
+const TEMPLATE_COLUMNS = `
+  t.id, t.owner_id, t.visibility, t.name, t.description, t.personality_name,
+  t.tone, t.trait_array, t.system_prompt, t.prompt_variables, t.model,
+  t.temperature, t.max_tokens, t.source_agent_id, t.created_at, t.updated_at
+`;
+
+/**
+ * Check who may create a template with the given visibility
+ */
+function resolveVisibility(identity, visibility = "private") {
+  if (!VISIBILITIES.includes(visibility)) {
+    throw new ValidationError(
+      `visibility must be one of: ${VISIBILITIES.join(", ")}`
+    );
+  }
+  if (visibility === "system" && !identity.isAdmin) {
+    throw new ForbiddenError(
+      "Access denied - only admins can create system templates"
+    );
+  }
+  return visibility;
+}
+
+/**
+ * Insert a template row
+ */
+async function insertTemplate(client, identity, data) {
+  const promptVariables = data.prompt_variables ?? {};
+  const promptErrors = [
+    ...validateVariables(promptVariables),
+    ...validatePrompt(data.system_prompt, promptVariables),
+  ];
+  if (promptErrors.length > 0) {
+    throw new ValidationError(promptErrors.join("; "));
+  }
+
+  const values = [
+    identity.id,
+    resolveVisibility(identity, data.visibility),
+    data.name,
+    ...TEMPLATE_FIELDS.map((field) =>
+      field === "prompt_variables" ? promptVariables : (data[field] ?? null)
+    ),
+    data.source_agent_id || null,
+  ];
+
+  const result = await client.query(
+    `INSERT INTO agent_templates AS t (
+       owner_id, visibility, name, ${TEMPLATE_FIELDS.join(", ")},
+       source_agent_id
+     )
+     VALUES (${values.map((_, i) => `$${i + 1}`).join(", ")})
+     RETURNING ${TEMPLATE_COLUMNS};`,
+    values
+  );
+
+  return result.rows[0];
+}
+
+/**
+ * Load a template the caller can see (system templates or their own)
+ */
+async function fetchVisibleTemplate(client, identity, templateId) {
+  const result = await client.query(
+    `SELECT ${TEMPLATE_COLUMNS} FROM agent_templates t
+     WHERE t.id = $1 AND (t.visibility = 'system' OR t.owner_id = $2);`,
+    [templateId, identity.id]
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError("Template not found");
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Create a template
+ * @param {Object} identity - Authenticated caller (admins may create system templates)
+ * @param {Object} data - name, visibility and template fields
+ * @returns {Promise<Object>} Created template
+ */
+async function createTemplate(identity, data) {
+  const client = await pool.connect();
+
+  try {
+    return {
+      success: true,
+      message: "Template created successfully",
+      data: await insertTemplate(client, identity, data),
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List the templates the caller can use: system templates and their own
+ * @param {Object} identity - Authenticated caller
+ * @returns {Promise<Object>} Templates
+ */
+async function listTemplates(identity) {
+  const client = await pool.connect();
+
+  try {
+    const result = await client.query(
+      `SELECT ${TEMPLATE_COLUMNS} FROM agent_templates t
+       WHERE t.visibility = 'system' OR t.owner_id = $1
+       ORDER BY t.visibility DESC, t.name, t.id;`,
+      [identity.id]
+    );
+
+    return {
+      success: true,
+      message: "Templates retrieved successfully",
+      data: result.rows,
+      count: result.rows.length,
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Get a single template
+ * @param {Object} identity - Authenticated caller
+ * @param {Number} templateId - Template integer ID
+ * @returns {Promise<Object>} Template
+ */
+async function getTemplate(identity, templateId) {
+  const client = await pool.connect();
+
+  try {
+    return {
+      success: true,
+      message: "Template retrieved successfully",
+      data: await fetchVisibleTemplate(client, identity, templateId),
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete a template (its owner, or an admin)
+ * @param {Object} identity - Authenticated caller
+ * @param {Number} templateId - Template integer ID
+ * @returns {Promise<Object>} Deletion result
+ */
+async function deleteTemplate(identity, templateId) {
+  const client = await pool.connect();
+
+  try {
+    const values = [templateId];
+    const result = await client.query(
+      `DELETE FROM agent_templates
+       WHERE id = $1 ${ownerScope(identity, values, "owner_id")}
+       RETURNING id;`,
+      values
+    );
+
+    if (result.rows.length === 0) {
+      throw new NotFoundError("Template not found or access denied");
+    }
+
+    return {
+      success: true,
+      message: "Template deleted successfully",
+      data: { id: result.rows[0].id },
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Save an existing agent's configuration as a template
+ * @param {Number} agentId - Agent integer ID
+ * @param {Object} identity - Authenticated caller (for ownership verification)
+ * @param {Object} options - { name, description, visibility } (name defaults to the agent's)
+ * @returns {Promise<Object>} Created template
+ */
+async function saveAgentAsTemplate(agentId, identity, options = {}) {
+  const client = await pool.connect();
+
+  try {
+    const values = [agentId];
+    const agentResult = await client.query(
+      `SELECT id, name, ${TEMPLATE_FIELDS.join(", ")} FROM agents
+       WHERE id = $1 AND deleted_at IS NULL ${ownerScope(identity, values)};`,
+      values
+    );
+
+    if (agentResult.rows.length === 0) {
+      throw new NotFoundError("Agent not found or access denied");
+    }
+    const agent = agentResult.rows[0];
+
+    const template = await insertTemplate(client, identity, {
+      ...agent,
+      name: options.name || agent.name,
+      description: options.description ?? agent.description,
+      visibility: options.visibility,
+      source_agent_id: agent.id,
+    });
+
+    return {
+      success: true,
+      message: "Template created successfully",
+      data: template,
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Build new-agent data from a template plus caller overrides
+ * The result goes through the same validation and createAgent call as a
+ * hand-written agent.
+ * @param {Object} identity - Authenticated caller
+ * @param {Number} templateId - Template integer ID
+ * @param {Object} overrides - Agent fields that replace the template's
+ * @returns {Promise<Object>} Agent data for createAgent
+ */
+async function buildAgentFromTemplate(identity, templateId, overrides) {
+  const client = await pool.connect();
+
+  try {
+    const template = await fetchVisibleTemplate(client, identity, templateId);
+
+    const data = { name: template.name };
+    for (const field of TEMPLATE_FIELDS) {
+      if (template[field] !== null) data[field] = template[field];
+    }
+    // pg returns NUMERIC as a string
+    if (data.temperature !== undefined) {
+      data.temperature = Number(data.temperature);
+    }
+
+    return { ...data, ...overrides };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  TEMPLATE_FIELDS,
+  createTemplate,
+  listTemplates,
+  getTemplate,
+  deleteTemplate,
+  saveAgentAsTemplate,
+  buildAgentFromTemplate,
+};
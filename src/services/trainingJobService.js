@@ -0,0 +1,348 @@
+const crypto = require("crypto");
+const pool = require("../config/database");
+const trainingApi = require("../utils/trainingApiClient");
+const { ownerScope } = require("../utils/identity");
+const {
+  ConflictError,
+  NotFoundError,
+  UnauthorizedError,
+  UpstreamUnavailableError,
+  ValidationError,
+} = require("../utils/errors");
+
+// Order jobs move through; finished jobs never change again
+const STATUS_RANK = {
+  queued: 0,
+  running: 1,
+  succeeded: 2,
+  failed: 2,
+  cancelled: 2,
+};
+const FINISHED = ["succeeded", "failed", "cancelled"];
+
+const JOB_COLUMNS = `id, agent_id, requested_by, training_job_id, trigger,
+  status, progress, error, created_at, updated_at, started_at, finished_at`;
+
+/**
+ * Verify and parse a Training API status webhook
+ * Requests carry x-training-signature: hex HMAC-SHA256 of the raw body
+ * with TRAINING_WEBHOOK_SECRET.
+ * @param {Object} req - Express request (rawBody captured by express.json)
+ * @returns {Object} { jobId, agentUuid, status, progress, error }
+ */
+function parseWebhook(req) {
+  const secret = process.env.TRAINING_WEBHOOK_SECRET;
+  if (!secret) {
+    throw new UpstreamUnavailableError(
+      "Training webhooks are not configured (TRAINING_WEBHOOK_SECRET)",
+      { status: 503 }
+    );
+  }
+
+  const signature = req.headers["x-training-signature"] || "";
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(req.rawBody || "")
+    .digest("hex");
+
+  if (
+    signature.length !== expected.length ||
+    !crypto.timingSafeEqual(Buffer.from(signature), Buffer.from(expected))
+  ) {
+    throw new UnauthorizedError("Invalid webhook signature");
+  }
+
+  const { job_id, agent_id, status, progress, error } = req.body || {};
+  if (!job_id || !Object.hasOwn(STATUS_RANK, status)) {
+    throw new ValidationError(
+      `Webhook payload must include job_id and a status of: ${Object.keys(
+        STATUS_RANK
+      ).join(", ")}`
+    );
+  }
+  if (
+    progress !== undefined &&
+    !(Number.isInteger(progress) && progress >= 0 && progress <= 100)
+  ) {
+    throw new ValidationError(
+      "Webhook progress must be an integer from 0 to 100"
+    );
+  }
+
+  return {
+    jobId: String(job_id),
+    agentUuid: agent_id,
+    status,
+    progress,
+    error: error || null,
+  };
+}
+
+/**
+ * Load an agent the caller owns (or administers)
+ */
+async function fetchOwnedAgent(client, agentId, identity) {
+  const values = [agentId];
+  const result = await client.query(
+    `SELECT id, training_api_uuid, sync_status FROM agents
+     WHERE id = $1 AND deleted_at IS NULL ${ownerScope(identity, values)};`,
+    values
+  );
+
+  if (result.rows.length === 0) {
+    throw new NotFoundError("Agent not found or access denied");
+  }
+
+  return result.rows[0];
+}
+
+/**
+ * Latest training job for an agent, or null
+ * @param {Object} client - pg client
+ * @param {Number} agentId - Agent integer ID
+ * @returns {Promise<Object|null>} Job row
+ */
+async function fetchLatestJob(client, agentId) {
+  const result = await client.query(
+    `SELECT ${JOB_COLUMNS} FROM training_jobs
+     WHERE agent_id = $1
+     ORDER BY created_at DESC, id DESC
+     LIMIT 1;`,
+    [agentId]
+  );
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Ask the Training API to retrain an agent
+ * @param {Number} agentId - Agent integer ID
+ * @param {Object} identity - Authenticated caller (for ownership verification)
+ * @returns {Promise<Object>} Queued job
+ */
+async function startTraining(agentId, identity) {
+  const client = await pool.connect();
+
+  try {
+    const agent = await fetchOwnedAgent(client, agentId, identity);
+    if (!agent.training_api_uuid || agent.sync_status !== "synced") {
+      throw new ConflictError(
+        "Agent must be synced with the Training API before training"
+      );
+    }
+
+    // The partial unique index rejects a second active job
+    let job;
+    try {
+      const result = await client.query(
+        `INSERT INTO training_jobs (agent_id, requested_by)
+         VALUES ($1, $2)
+         RETURNING ${JOB_COLUMNS};`,
+        [agent.id, identity.id]
+      );
+      job = result.rows[0];
+    } catch (error) {
+      if (error.code === "23505") {
+        throw new ConflictError(
+          "Training is already in progress for this agent"
+        );
+      }
+      throw error;
+    }
+
+    let response;
+    try {
+      response = await trainingApi.startTraining(
+        agent.training_api_uuid,
+        { reference: String(job.id) },
+        `training-job-${job.id}`
+      );
+    } catch (error) {
+      const reason = error.response?.data?.message || error.message;
+      await client.query(
+        `UPDATE training_jobs
+         SET status = 'failed', error = $1,
+           updated_at = CURRENT_TIMESTAMP, finished_at = CURRENT_TIMESTAMP
+         WHERE id = $2;`,
+        [reason, job.id]
+      );
+      throw new UpstreamUnavailableError(
+        `Training API rejected the training request: ${reason}`
+      );
+    }
+
+    const trainingJobId =
+      response.data?.data?.job_id || response.data?.job_id || null;
+
+    // A webhook may already have attached the remote id
+    const updated = await client.query(
+      `UPDATE training_jobs
+       SET training_job_id = COALESCE(training_job_id, $1)
+       WHERE id = $2
+       RETURNING ${JOB_COLUMNS};`,
+      [trainingJobId, job.id]
+    );
+
+    return {
+      success: true,
+      message: "Training started",
+      data: updated.rows[0],
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * List an agent's training jobs, newest first
+ * @param {Number} agentId - Agent integer ID
+ * @param {Object} identity - Authenticated caller (for ownership verification)
+ * @returns {Promise<Object>} Jobs
+ */
+async function listTrainingJobs(agentId, identity) {
+  const client = await pool.connect();
+
+  try {
+    const agent = await fetchOwnedAgent(client, agentId, identity);
+
+    const result = await client.query(
+      `SELECT ${JOB_COLUMNS} FROM training_jobs
+       WHERE agent_id = $1
+       ORDER BY created_at DESC, id DESC;`,
+      [agent.id]
+    );
+
+    return {
+      success: true,
+      message: "Training jobs retrieved successfully",
+      data: result.rows,
+      count: result.rows.length,
+    };
+  } catch (error) {
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Find (or adopt) the local row for a webhook's job
+ * Jobs we started may not have their remote id yet, and jobs the Training
+ * API started on its own (e.g. after a document upload) have no row at all.
+ */
+async function resolveWebhookJob(client, event) {
+  const existing = await client.query(
+    `SELECT * FROM training_jobs WHERE training_job_id = $1 FOR UPDATE;`,
+    [event.jobId]
+  );
+  if (existing.rows.length > 0) return existing.rows[0];
+
+  if (!event.agentUuid) {
+    throw new NotFoundError("Training job not found");
+  }
+  const agentResult = await client.query(
+    `SELECT id FROM agents WHERE training_api_uuid = $1;`,
+    [event.agentUuid]
+  );
+  if (agentResult.rows.length === 0) {
+    throw new NotFoundError("Agent not found");
+  }
+  const agentId = agentResult.rows[0].id;
+
+  const adopted = await client.query(
+    `UPDATE training_jobs SET training_job_id = $1
+     WHERE agent_id = $2 AND training_job_id IS NULL
+       AND status IN ('queued', 'running')
+     RETURNING *;`,
+    [event.jobId, agentId]
+  );
+  if (adopted.rows.length > 0) return adopted.rows[0];
+
+  // Upstream moved on to a new job; close whatever we still think is active
+  await client.query(
+    `UPDATE training_jobs
+     SET status = 'cancelled', error = $1,
+       updated_at = CURRENT_TIMESTAMP, finished_at = CURRENT_TIMESTAMP
+     WHERE agent_id = $2 AND status IN ('queued', 'running');`,
+    [`Superseded by training job ${event.jobId}`, agentId]
+  );
+  const created = await client.query(
+    `INSERT INTO training_jobs (agent_id, training_job_id, trigger)
+     VALUES ($1, $2, 'upstream')
+     RETURNING *;`,
+    [agentId, event.jobId]
+  );
+
+  return created.rows[0];
+}
+
+/**
+ * Apply a verified training status webhook
+ * Out-of-order and replayed updates are ignored: a job only moves forward
+ * and never changes once finished.
+ * @param {Object} event - From parseWebhook
+ * @returns {Promise<Object>} Current job
+ */
+async function applyWebhookEvent(event) {
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const job = await resolveWebhookJob(client, event);
+    const forward =
+      !FINISHED.includes(job.status) &&
+      STATUS_RANK[event.status] >= STATUS_RANK[job.status];
+
+    let current = job;
+    if (forward) {
+      const finished = FINISHED.includes(event.status);
+      const progress =
+        event.status === "succeeded" ? 100 : (event.progress ?? job.progress);
+
+      const result = await client.query(
+        `UPDATE training_jobs
+         SET status = $1, progress = $2, error = $3,
+           updated_at = CURRENT_TIMESTAMP,
+           started_at = CASE WHEN $4::boolean
+             THEN COALESCE(started_at, CURRENT_TIMESTAMP) ELSE started_at END,
+           finished_at = CASE WHEN $5::boolean
+             THEN CURRENT_TIMESTAMP ELSE finished_at END
+         WHERE id = $6
+         RETURNING *;`,
+        [
+          event.status,
+          progress,
+          event.error,
+          event.status !== "queued",
+          finished,
+          job.id,
+        ]
+      );
+      current = result.rows[0];
+    }
+
+    await client.query("COMMIT");
+
+    return {
+      success: true,
+      message: forward ? "Training job updated" : "Stale update ignored",
+      data: current,
+    };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  parseWebhook,
+  fetchLatestJob,
+  startTraining,
+  listTrainingJobs,
+  applyWebhookEvent,
+};
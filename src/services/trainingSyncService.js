@@ -0,0 +1,316 @@
+const pool = require("../config/database");
+const trainingApi = require("../utils/trainingApiClient");
+const logger = require("../utils/logger");
+const { resolveCreatorId } = require("../utils/identity");
+const { renderPrompt } = require("../utils/promptTemplate");
+
+const MAX_ATTEMPTS = parseInt(process.env.TRAINING_SYNC_MAX_ATTEMPTS) || 8;
+const BASE_DELAY_MS = parseInt(process.env.TRAINING_SYNC_BASE_DELAY_MS) || 5000;
+const MAX_DELAY_MS = 60 * 60 * 1000;
+const BATCH_SIZE = 20;
+
+/**
+ * Build the Training API representation of an agent row
+ * @param {Object} agent - Row from the agents table
+ * @returns {Object} Training API payload
+ */
+function buildTrainingPayload(agent) {
+  return {
+    name: agent.name,
+    description: agent.description || `AI Agent: ${agent.name}`,
+    personality_name: agent.personality_name || "default",
+    tone: agent.tone || "professional",
+    trait_array: agent.trait_array || [],
+    system_prompt: agent.system_prompt
+      ? renderPrompt(agent.system_prompt, agent)
+      : `You are ${agent.name}, a helpful AI assistant.`,
+    model: agent.model,
+    temperature: agent.temperature,
+    max_tokens: agent.max_tokens,
+  };
+}
+
+/**
+ * Record a sync event in the outbox
+ * Must be called with the same client (and transaction) as the agent change.
+ * @param {Object} client - pg client inside an open transaction
+ * @param {Number} agentId - Agent integer ID
+ * @param {String} eventType - create | update | delete
+ * @param {String|null} trainingApiUuid - Remote ID (needed for deletes)
+ */
+async function enqueueEvent(
+  client,
+  agentId,
+  eventType,
+  trainingApiUuid = null
+) {
+  await client.query(
+    `INSERT INTO training_sync_outbox (agent_id, event_type, training_api_uuid)
+     VALUES ($1, $2, $3);`,
+    [agentId, eventType, trainingApiUuid]
+  );
+
+  if (eventType !== "delete") {
+    await client.query(
+      `UPDATE agents SET sync_status = 'pending' WHERE id = $1;`,
+      [agentId]
+    );
+  }
+}
+
+/**
+ * Claim the next batch of due events
+ * Only the oldest unfinished event per agent is eligible, so events for
+ * one agent are always delivered in order.
+ * @returns {Promise<Array>} Claimed outbox rows
+ */
+async function claimBatch() {
+  const result = await pool.query(
+    `
+    UPDATE training_sync_outbox
+    SET status = 'processing', attempts = attempts + 1, locked_at = CURRENT_TIMESTAMP
+    WHERE id IN (
+      SELECT o.id FROM training_sync_outbox o
+      WHERE o.status = 'pending'
+        AND o.next_attempt_at <= CURRENT_TIMESTAMP
+        AND NOT EXISTS (
+          SELECT 1 FROM training_sync_outbox prev
+          WHERE prev.agent_id = o.agent_id
+            AND prev.id < o.id
+            AND prev.status IN ('pending', 'processing')
+        )
+      ORDER BY o.id
+      LIMIT $1
+      FOR UPDATE SKIP LOCKED
+    )
+    RETURNING *;
+    `,
+    [BATCH_SIZE]
+  );
+
+  return result.rows;
+}
+
+/**
+ * Send one outbox event to the Training API
+ * @param {Object} event - Claimed outbox row
+ */
+async function deliverEvent(event) {
+  if (event.event_type === "delete") {
+    // Never registered remotely - nothing to remove
+    if (!event.training_api_uuid) return;
+
+    try {
+      await trainingApi.deleteAgent(event.training_api_uuid);
+    } catch (error) {
+      // Already gone upstream counts as delivered
+      if (error.response?.status !== 404) throw error;
+    }
+    return;
+  }
+
+  const agentResult = await pool.query(`SELECT * FROM agents WHERE id = $1;`, [
+    event.agent_id,
+  ]);
+  const agent = agentResult.rows[0];
+
+  // Agent was removed after the event was written; its delete event follows
+  if (!agent) return;
+
+  const payload = buildTrainingPayload(agent);
+
+  // Register on first delivery, whichever event gets there first; later
+  // events (and re-queued creates) just push the current state
+  if (!agent.training_api_uuid) {
+    // Keyed by local agent: a create retried after a lost response (or
+    // re-queued by a resync) gets the same remote agent back
+    const response = await trainingApi.createAgent(
+      payload,
+      `agent-create-${agent.id}`
+    );
+    const trainingApiUuid =
+      response.data?.data?.agent_id || response.data?.agent_id;
+
+    if (!trainingApiUuid) {
+      throw new Error("Training API response did not include an agent_id");
+    }
+
+    const updated = await pool.query(
+      `UPDATE agents SET training_api_uuid = $1 WHERE id = $2;`,
+      [trainingApiUuid, agent.id]
+    );
+
+    // Deleted while we were registering - don't leave a remote orphan
+    if (updated.rowCount === 0) {
+      await trainingApi.deleteAgent(trainingApiUuid);
+    }
+    return;
+  }
+
+  await trainingApi.updateAgent(agent.training_api_uuid, payload);
+}
+
+/**
+ * Mark an event delivered and the agent synced
+ */
+async function markDelivered(event) {
+  await pool.query(
+    `UPDATE training_sync_outbox
+     SET status = 'done', last_error = NULL, processed_at = CURRENT_TIMESTAMP
+     WHERE id = $1;`,
+    [event.id]
+  );
+
+  if (event.event_type !== "delete") {
+    await pool.query(
+      `UPDATE agents
+       SET sync_status = 'synced', sync_error = NULL, synced_at = CURRENT_TIMESTAMP
+       WHERE id = $1;`,
+      [event.agent_id]
+    );
+  }
+}
+
+/**
+ * Schedule a retry with jittered exponential backoff, or give up after
+ * MAX_ATTEMPTS and mark the agent as failed
+ */
+async function markFailed(event, error) {
+  const message = error.response
+    ? `Training API responded ${error.response.status}: ${error.message}`
+    : error.message;
+  const exhausted = event.attempts >= MAX_ATTEMPTS;
+  const delay = Math.min(
+    BASE_DELAY_MS * 2 ** (event.attempts - 1) * (0.5 + Math.random()),
+    MAX_DELAY_MS
+  );
+
+  await pool.query(
+    `UPDATE training_sync_outbox
+     SET status = $1, last_error = $2,
+         next_attempt_at = CURRENT_TIMESTAMP + $3::int * INTERVAL '1 millisecond',
+         processed_at = $4
+     WHERE id = $5;`,
+    [
+      exhausted ? "failed" : "pending",
+      message,
+      Math.round(delay),
+      exhausted ? new Date() : null,
+      event.id,
+    ]
+  );
+
+  if (event.event_type !== "delete") {
+    await pool.query(
+      `UPDATE agents SET sync_status = $1, sync_error = $2 WHERE id = $3;`,
+      [exhausted ? "failed" : "pending", message, event.agent_id]
+    );
+  }
+}
+
+/**
+ * Deliver one batch of due outbox events
+ * @returns {Promise<Object>} Counts of delivered and failed events
+ */
+async function processBatch() {
+  const events = await claimBatch();
+  let delivered = 0;
+  let failed = 0;
+
+  for (const event of events) {
+    try {
+      await deliverEvent(event);
+      await markDelivered(event);
+      delivered++;
+    } catch (error) {
+      logger.warn("Training sync event failed", {
+        event_id: event.id,
+        event_type: event.event_type,
+        agent_id: event.agent_id,
+        attempt: event.attempts,
+        error,
+      });
+      await markFailed(event, error);
+      failed++;
+    }
+  }
+
+  return { claimed: events.length, delivered, failed };
+}
+
+/**
+ * Return events stuck in 'processing' (e.g. after a crash) to the queue
+ * @param {Number} olderThanMs - Minimum age of the stuck claim
+ */
+async function releaseStuckEvents(olderThanMs = 5 * 60 * 1000) {
+  await pool.query(
+    `UPDATE training_sync_outbox
+     SET status = 'pending'
+     WHERE status = 'processing'
+       AND locked_at < CURRENT_TIMESTAMP - $1::int * INTERVAL '1 millisecond';`,
+    [olderThanMs]
+  );
+}
+
+/**
+ * Queue a fresh create event for agents still missing a training_api_uuid
+ * @param {Object} identity - Authenticated caller
+ * @param {Number} [requestedCreatorId] - Creator to re-sync (admins may omit to re-sync everyone)
+ * @returns {Promise<Object>} IDs of the re-queued agents
+ */
+async function resyncMissingAgents(identity, requestedCreatorId) {
+  const values = [];
+  let creatorClause = "";
+  if (!identity.isAdmin || requestedCreatorId) {
+    values.push(resolveCreatorId(identity, requestedCreatorId));
+    creatorClause = `AND a.creator_id = $1`;
+  }
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    // Skip agents that already have an unfinished create queued
+    const result = await client.query(
+      `
+      SELECT a.id FROM agents a
+      WHERE a.training_api_uuid IS NULL AND a.deleted_at IS NULL
+        ${creatorClause}
+        AND NOT EXISTS (
+          SELECT 1 FROM training_sync_outbox o
+          WHERE o.agent_id = a.id
+            AND o.event_type = 'create'
+            AND o.status IN ('pending', 'processing')
+        )
+      FOR UPDATE OF a;
+      `,
+      values
+    );
+
+    for (const row of result.rows) {
+      await enqueueEvent(client, row.id, "create");
+    }
+
+    await client.query("COMMIT");
+
+    return {
+      success: true,
+      message: `Queued ${result.rows.length} agent(s) for Training API sync`,
+      data: { agent_ids: result.rows.map((row) => row.id) },
+    };
+  } catch (error) {
+    await client.query("ROLLBACK");
+    throw error;
+  } finally {
+    client.release();
+  }
+}
+
+module.exports = {
+  buildTrainingPayload,
+  enqueueEvent,
+  processBatch,
+  releaseStuckEvents,
+  resyncMissingAgents,
+};
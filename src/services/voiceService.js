@@ -1,4 +1,5 @@
 const pool = require("../config/database");
+const { ConflictError, NotFoundError } = require("../utils/errors");
 
 /**
  * Save a voice_id for a user (clone built-in voice)
@@ -36,6 +37,7 @@ async function cloneBuiltInVoice(userId, voiceId) {
         success: true,
         message: "Voice already saved for this user",
         data: existingResult.rows[0],
+        created: false,
       };
     }
 
@@ -43,6 +45,7 @@ async function cloneBuiltInVoice(userId, voiceId) {
       success: true,
       message: "Voice saved successfully",
       data: result.rows[0],
+      created: true,
     };
   } catch (error) {
     throw error;
@@ -90,24 +93,49 @@ async function deleteUserVoice(userId, voiceId) {
   const client = await pool.connect();
 
   try {
-    const query = `
-      DELETE FROM user_voices 
+    await client.query("BEGIN");
+
+    // Lock the voice first so setAgentVoice can't attach it between the
+    // usage check and the delete
+    const voiceQuery = `
+      SELECT id FROM user_voices
       WHERE user_id = $1 AND voice_id = $2
-      RETURNING id;
+      FOR UPDATE;
     `;
+    const voiceResult = await client.query(voiceQuery, [userId, voiceId]);
 
-    const result = await client.query(query, [userId, voiceId]);
+    if (voiceResult.rows.length === 0) {
+      throw new NotFoundError("Voice not found for this user");
+    }
 
-    if (result.rows.length === 0) {
-      throw new Error("Voice not found for this user");
+    // Refuse to remove a voice that agents still reference
+    const usageQuery = `
+      SELECT a.id
+      FROM agents a
+      JOIN users u ON a.creator_id = u.id
+      WHERE u.user_id = $1 AND a.voice_id = $2;
+    `;
+    const usageResult = await client.query(usageQuery, [userId, voiceId]);
+
+    if (usageResult.rows.length > 0) {
+      throw new ConflictError(
+        `Voice is in use by ${usageResult.rows.length} agent(s) - detach it first`
+      );
     }
 
+    await client.query(`DELETE FROM user_voices WHERE id = $1;`, [
+      voiceResult.rows[0].id,
+    ]);
+
+    await client.query("COMMIT");
+
     return {
       success: true,
       message: "Voice deleted successfully",
-      data: { id: result.rows[0].id },
+      data: { id: voiceResult.rows[0].id },
     };
   } catch (error) {
+    await client.query("ROLLBACK");
     throw error;
   } finally {
     client.release();
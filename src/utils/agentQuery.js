@@ -0,0 +1,208 @@
+const { encodeCursor, decodeCursor } = require("./cursor");
+const { ValidationError } = require("./errors");
+
+/**
+ * Shared filtering, sorting and keyset pagination for agent listings
+ * (creator dashboard and public catalog). Queries alias agents as `a`.
+ */
+
+// Sort keys (id breaks ties for keyset paging)
+const LIST_SORTS = {
+  name: { expr: "a.name", type: "text" },
+  created: { expr: "a.created_at", type: "timestamptz" },
+  updated: { expr: "a.updated_at", type: "timestamptz" },
+  price: { expr: "COALESCE(a.price_amount, 0)", type: "numeric" },
+};
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+// Query parameters parseAgentListQuery understands
+const LIST_PARAMS = [
+  "include_deleted",
+  "cursor",
+  "q",
+  "search",
+  "role",
+  "model",
+  "sort",
+  "order",
+  "limit",
+  "is_active",
+  "min_price",
+  "max_price",
+];
+
+/**
+ * Parse and validate listing query parameters
+ * @param {Object} query - req.query
+ * @returns {Object} { errors, options } for buildListQuery
+ */
+function parseAgentListQuery(query) {
+  const errors = [];
+
+  // Repeated parameters (?q=a&q=b) arrive as arrays
+  for (const param of LIST_PARAMS) {
+    if (query[param] !== undefined && typeof query[param] !== "string") {
+      errors.push(`${param} must be a single value`);
+    }
+  }
+  if (errors.length > 0) return { errors, options: {} };
+
+  const options = {
+    includeDeleted: query.include_deleted === "true",
+    cursor: query.cursor,
+    search: query.q || query.search,
+    role: query.role,
+    model: query.model,
+    sort: query.sort,
+    order: query.order,
+  };
+
+  if (query.limit !== undefined) {
+    options.limit = Number(query.limit);
+    if (!Number.isInteger(options.limit) || options.limit < 1) {
+      errors.push("limit must be a positive integer");
+    }
+  }
+
+  if (query.is_active !== undefined) {
+    if (!["true", "false"].includes(query.is_active)) {
+      errors.push("is_active must be true or false");
+    }
+    options.isActive = query.is_active === "true";
+  }
+
+  if (options.role && !["free", "paid"].includes(options.role)) {
+    errors.push("role must be one of: free, paid");
+  }
+
+  for (const [param, key] of [
+    ["min_price", "minPrice"],
+    ["max_price", "maxPrice"],
+  ]) {
+    if (query[param] === undefined) continue;
+    options[key] = Number(query[param]);
+    if (isNaN(options[key]) || options[key] < 0) {
+      errors.push(`${param} must be a non-negative number`);
+    }
+  }
+
+  if (
+    options.minPrice !== undefined &&
+    options.maxPrice !== undefined &&
+    options.minPrice > options.maxPrice
+  ) {
+    errors.push("min_price must not be greater than max_price");
+  }
+
+  if (options.sort && !LIST_SORTS[options.sort]) {
+    errors.push(`sort must be one of: ${Object.keys(LIST_SORTS).join(", ")}`);
+  }
+  if (options.order && !["asc", "desc"].includes(options.order)) {
+    errors.push("order must be one of: asc, desc");
+  }
+
+  return { errors, options };
+}
+
+/**
+ * Build the WHERE/ORDER BY/LIMIT parts of a paginated agent listing
+ * @param {Object} options - Listing options (see parseAgentListQuery)
+ * @param {Array<String>} baseFilters - Caller's fixed conditions
+ * @param {Array} baseValues - Parameters referenced by baseFilters
+ * @returns {Object} Parts for the page query and the total count query
+ */
+function buildListQuery(options, baseFilters, baseValues) {
+  const sort = LIST_SORTS[options.sort || "created"];
+  if (!sort) {
+    throw new ValidationError(
+      `sort must be one of: ${Object.keys(LIST_SORTS).join(", ")}`
+    );
+  }
+  const order = (options.order || "desc").toLowerCase();
+  if (!["asc", "desc"].includes(order)) {
+    throw new ValidationError("order must be one of: asc, desc");
+  }
+  const limit = Math.min(options.limit || DEFAULT_PAGE_SIZE, MAX_PAGE_SIZE);
+
+  // Filters shared by the page query and the total count
+  const values = [...baseValues];
+  const filters = [...baseFilters];
+  if (options.isActive !== undefined) {
+    values.push(options.isActive);
+    filters.push(`a.is_active = $${values.length}`);
+  }
+  if (options.role) {
+    values.push(options.role);
+    filters.push(`a.role = $${values.length}`);
+  }
+  if (options.model) {
+    values.push(options.model);
+    filters.push(`a.model = $${values.length}`);
+  }
+  if (options.minPrice !== undefined) {
+    values.push(options.minPrice);
+    filters.push(`a.price_amount >= $${values.length}`);
+  }
+  if (options.maxPrice !== undefined) {
+    values.push(options.maxPrice);
+    filters.push(`a.price_amount <= $${values.length}`);
+  }
+  if (options.search) {
+    values.push(`%${options.search.replace(/[\\%_]/g, "\\$&")}%`);
+    const n = values.length;
+    filters.push(
+      `(a.name ILIKE $${n} OR a.description ILIKE $${n} OR a.personality_name ILIKE $${n})`
+    );
+  }
+
+  const pageValues = [...values];
+  const pageFilters = [...filters];
+  if (options.cursor) {
+    const cursor = decodeCursor(options.cursor);
+    pageValues.push(cursor.value, cursor.id);
+    const n = pageValues.length;
+    pageFilters.push(
+      `(${sort.expr}, a.id) ${order === "desc" ? "<" : ">"} ($${n - 1}::${
+        sort.type
+      }, $${n})`
+    );
+  }
+  pageValues.push(limit + 1);
+
+  return {
+    where: filters.join(" AND "),
+    values,
+    pageWhere: pageFilters.join(" AND "),
+    pageValues,
+    sortValue: `${sort.expr}::text as sort_value`,
+    orderBy: `${sort.expr} ${order}, a.id ${order}`,
+    limitParam: `$${pageValues.length}`,
+    limit,
+  };
+}
+
+/**
+ * Trim the look-ahead row off a page and compute next_cursor
+ * @param {Array} rows - Rows fetched with LIMIT limit + 1 (incl. sort_value)
+ * @param {Number} limit - Page size
+ * @returns {Object} { rows, nextCursor }
+ */
+function paginate(rows, limit) {
+  const page = rows.slice(0, limit);
+  const last = page[page.length - 1];
+
+  return {
+    rows: page.map(({ sort_value, ...row }) => row),
+    nextCursor:
+      rows.length > limit && last
+        ? encodeCursor(last.sort_value, last.id)
+        : null,
+  };
+}
+
+module.exports = {
+  parseAgentListQuery,
+  buildListQuery,
+  paginate,
+};
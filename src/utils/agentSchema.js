@@ -0,0 +1,155 @@
+const { fieldError } = require("./schema");
+const { validateVariables, validatePrompt } = require("./promptTemplate");
+const { TEMPLATE_FIELDS } = require("../services/templateService");
+
+/**
+ * Schemas for agent and template payloads (see utils/schema)
+ */
+
+// Models agents may run on (comma-separated AGENT_MODELS overrides)
+const ALLOWED_MODELS = process.env.AGENT_MODELS
+  ? process.env.AGENT_MODELS.split(",")
+      .map((model) => model.trim())
+      .filter(Boolean)
+  : ["gpt-4", "gpt-4-turbo", "gpt-4o", "gpt-4o-mini", "gpt-3.5-turbo"];
+
+// ISO 4217 codes known to the runtime
+const CURRENCIES = Intl.supportedValuesOf("currency");
+
+// Columns managed by the server; echoing them back is rejected, not ignored
+const READ_ONLY = { readOnly: true };
+const SERVER_FIELDS = {
+  id: READ_ONLY,
+  training_api_uuid: READ_ONLY,
+  voice_id: READ_ONLY,
+  sync_status: READ_ONLY,
+  sync_error: READ_ONLY,
+  synced_at: READ_ONLY,
+  created_at: READ_ONLY,
+  updated_at: READ_ONLY,
+  deleted_at: READ_ONLY,
+};
+
+const AGENT_FIELDS = {
+  name: { type: "string", required: true, minLength: 1, maxLength: 255 },
+  description: { type: "string", nullable: true, maxLength: 5000 },
+  personality_name: { type: "string", nullable: true, maxLength: 255 },
+  tone: { type: "string", nullable: true, maxLength: 255 },
+  trait_array: {
+    type: "array",
+    nullable: true,
+    maxItems: 20,
+    items: { type: "string", minLength: 1, maxLength: 100 },
+  },
+  system_prompt: { type: "string", nullable: true, maxLength: 20000 },
+  prompt_variables: {
+    type: "object",
+    check: (value) =>
+      validateVariables(value).map((message) => ({
+        code: "invalid_value",
+        message,
+      })),
+  },
+  model: { type: "string", enum: ALLOWED_MODELS },
+  temperature: { type: "number", min: 0, max: 2 },
+  max_tokens: { type: "integer", min: 1 },
+  is_active: { type: "boolean" },
+  role: { type: "string", enum: ["free", "paid"] },
+  // NUMERIC(10, 2)
+  price_amount: {
+    type: "number",
+    nullable: true,
+    min: 0,
+    max: 99999999.99,
+    multipleOf: 0.01,
+  },
+  price_currency: { type: "string", enum: CURRENCIES },
+};
+
+/**
+ * Cross-field rules; each lists the fields it reads so updates only re-check
+ * the rules they touch
+ */
+const AGENT_RULES = [
+  {
+    fields: ["role", "price_amount"],
+    check: (agent) =>
+      agent.role === "paid" && !(Number(agent.price_amount) > 0)
+        ? [
+            fieldError(
+              "price_amount",
+              "price_required",
+              "price_amount must be greater than 0 when role is paid"
+            ),
+          ]
+        : [],
+  },
+  {
+    fields: ["system_prompt", "prompt_variables"],
+    check: (agent) =>
+      validatePrompt(agent.system_prompt, agent.prompt_variables ?? {}).map(
+        (message) => fieldError("system_prompt", "invalid_placeholder", message)
+      ),
+  },
+];
+
+/**
+ * Pick field rules by name
+ */
+function pickFields(names) {
+  return Object.fromEntries(names.map((name) => [name, AGENT_FIELDS[name]]));
+}
+
+// POST /agents, and overrides for duplicates and template instances
+// (admins may create on behalf of creator_id)
+const agentSchema = {
+  fields: {
+    ...SERVER_FIELDS,
+    creator_id: { type: "integer", min: 1 },
+    ...AGENT_FIELDS,
+  },
+  rules: AGENT_RULES,
+};
+
+// PUT /agents/:id
+const agentUpdateSchema = {
+  fields: { ...SERVER_FIELDS, creator_id: READ_ONLY, ...AGENT_FIELDS },
+  rules: AGENT_RULES,
+};
+
+// One row of POST /agents/import (the creator comes from the query)
+const importRowSchema = {
+  fields: AGENT_FIELDS,
+  rules: AGENT_RULES,
+};
+
+// POST /templates
+const templateSchema = {
+  fields: {
+    name: AGENT_FIELDS.name,
+    visibility: { type: "string", enum: ["private", "system"] },
+    ...pickFields(TEMPLATE_FIELDS),
+  },
+  rules: AGENT_RULES.filter((rule) =>
+    rule.fields.every((field) => TEMPLATE_FIELDS.includes(field))
+  ),
+};
+
+// POST /agents/:id/template (everything else is copied from the agent)
+const agentTemplateSchema = {
+  fields: {
+    name: templateSchema.fields.name,
+    description: templateSchema.fields.description,
+    visibility: templateSchema.fields.visibility,
+  },
+  rules: [],
+};
+
+module.exports = {
+  ALLOWED_MODELS,
+  agentSchema,
+  agentUpdateSchema,
+  importRowSchema,
+  templateSchema,
+  agentTemplateSchema,
+};
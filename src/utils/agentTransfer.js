@@ -0,0 +1,188 @@
+const { toCsv, parseCsv } = require("./csv");
+const { fieldError } = require("./schema");
+
+/**
+ * Row format for agent import/export (JSON and CSV)
+ * Columns are the agent's name plus every field updateAgent accepts.
+ * In CSV, trait_array is a "; "-separated list, prompt_variables is a JSON
+ * object and empty cells are unset. Parsed rows are then checked against
+ * importRowSchema.
+ */
+
+const FIELD_TYPES = {
+  name: "string",
+  description: "string",
+  personality_name: "string",
+  tone: "string",
+  trait_array: "list",
+  system_prompt: "string",
+  prompt_variables: "object",
+  model: "string",
+  temperature: "number",
+  max_tokens: "integer",
+  is_active: "boolean",
+  role: "string",
+  price_amount: "number",
+  price_currency: "string",
+};
+const TRANSFER_FIELDS = Object.keys(FIELD_TYPES);
+const LIST_SEPARATOR = ";";
+const MAX_IMPORT_ROWS = 500;
+
+/**
+ * Serialize agents (rows with TRANSFER_FIELDS) as CSV
+ * @param {Array<Object>} agents - Exported agents
+ * @returns {String} CSV text
+ */
+function agentsToCsv(agents) {
+  return toCsv(
+    agents.map((agent) => ({
+      ...agent,
+      trait_array: agent.trait_array
+        ? agent.trait_array.join(`${LIST_SEPARATOR} `)
+        : null,
+      prompt_variables: agent.prompt_variables
+        ? JSON.stringify(agent.prompt_variables)
+        : null,
+    })),
+    TRANSFER_FIELDS
+  );
+}
+
+/**
+ * Convert a CSV cell to the field's type
+ * @returns {Object} { value } or { error }
+ */
+function coerceCell(field, text) {
+  const cell = text.trim();
+  if (cell === "") return { value: undefined };
+
+  const type = Object.hasOwn(FIELD_TYPES, field) ? FIELD_TYPES[field] : null;
+  switch (type) {
+    case "list":
+      return {
+        value: cell
+          .split(LIST_SEPARATOR)
+          .map((item) => item.trim())
+          .filter(Boolean),
+      };
+    case "number":
+    case "integer": {
+      const value = Number(cell);
+      return isNaN(value)
+        ? {
+            error: fieldError(
+              field,
+              "invalid_type",
+              `${field} must be a number`
+            ),
+          }
+        : { value };
+    }
+    case "object":
+      try {
+        return { value: JSON.parse(cell) };
+      } catch {
+        return {
+          error: fieldError(
+            field,
+            "invalid_type",
+            `${field} must be a JSON object`
+          ),
+        };
+      }
+    case "boolean":
+      if (!["true", "false"].includes(cell.toLowerCase())) {
+        return {
+          error: fieldError(
+            field,
+            "invalid_type",
+            `${field} must be true or false`
+          ),
+        };
+      }
+      return { value: cell.toLowerCase() === "true" };
+    default:
+      return { value: text };
+  }
+}
+
+/**
+ * Turn an import payload into typed rows
+ * @param {String} format - json | csv
+ * @param {*} body - Parsed JSON body or raw CSV text
+ * @returns {Object} { errors, rows: [{ row, data, errors }] }
+ */
+function parseImportRows(format, body) {
+  const invalid = (message) => ({
+    errors: [fieldError(null, "invalid_payload", message)],
+    rows: [],
+  });
+  let records;
+
+  if (format === "csv") {
+    if (typeof body !== "string" || !body.trim()) {
+      return invalid("body must be CSV text");
+    }
+    let parsed;
+    try {
+      parsed = parseCsv(body);
+    } catch (error) {
+      return invalid(error.message);
+    }
+    const unknown = parsed.columns.filter(
+      (c) => !Object.hasOwn(FIELD_TYPES, c)
+    );
+    if (unknown.length > 0) {
+      return invalid(
+        `CSV columns must be among: ${TRANSFER_FIELDS.join(", ")}`
+      );
+    }
+    records = parsed.rows;
+  } else {
+    records = Array.isArray(body) ? body : body?.agents || body?.data;
+    if (!Array.isArray(records)) {
+      return invalid("body must be an array of agents or { agents: [...] }");
+    }
+  }
+
+  if (records.length === 0) {
+    return invalid("import must contain at least one agent");
+  }
+  if (records.length > MAX_IMPORT_ROWS) {
+    return invalid(`import must contain at most ${MAX_IMPORT_ROWS} agents`);
+  }
+
+  const rows = records.map((record, i) => {
+    const row = { row: i + 1, data: {}, errors: [] };
+
+    if (!record || typeof record !== "object" || Array.isArray(record)) {
+      row.errors.push(
+        fieldError(null, "invalid_type", "agent must be an object")
+      );
+      return row;
+    }
+
+    // JSON values keep their types for the schema to check
+    if (format !== "csv") {
+      row.data = { ...record };
+      return row;
+    }
+
+    for (const [field, raw] of Object.entries(record)) {
+      const { value, error } = coerceCell(field, raw);
+      if (error) row.errors.push(error);
+      else if (value !== undefined) row.data[field] = value;
+    }
+
+    return row;
+  });
+
+  return { errors: [], rows };
+}
+
+module.exports = {
+  TRANSFER_FIELDS,
+  agentsToCsv,
+  parseImportRows,
+};
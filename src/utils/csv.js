@@ -0,0 +1,97 @@
+/**
+ * Minimal RFC 4180 CSV reading and writing (quoted fields, escaped quotes,
+ * embedded newlines)
+ */
+
+/**
+ * Quote a value when it contains a delimiter, quote or newline
+ */
+function formatCell(value) {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Serialize rows to CSV with a header line
+ * @param {Array<Object>} rows - Records
+ * @param {Array<String>} columns - Column order (and header names)
+ * @returns {String} CSV text
+ */
+function toCsv(rows, columns) {
+  const lines = [columns.map(formatCell).join(",")];
+  for (const row of rows) {
+    lines.push(columns.map((column) => formatCell(row[column])).join(","));
+  }
+  return `${lines.join("\r\n")}\r\n`;
+}
+
+/**
+ * Parse CSV text whose first line is a header
+ * @param {String} text - CSV text
+ * @returns {Object} { columns, rows } where rows are objects keyed by column
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let i = 0;
+
+  // Strip a UTF-8 byte order mark left by spreadsheet exports
+  if (text.charCodeAt(0) === 0xfeff) i = 1;
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) {
+    throw new Error("CSV must not end inside a quoted field");
+  }
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  // Ignore blank lines
+  const [header = [], ...body] = records.filter(
+    (r) => r.length > 1 || r[0] !== ""
+  );
+  const columns = header.map((column) => column.trim());
+
+  return {
+    columns,
+    rows: body.map((values) =>
+      Object.fromEntries(columns.map((column, j) => [column, values[j] ?? ""]))
+    ),
+  };
+}
+
+module.exports = {
+  toCsv,
+  parseCsv,
+};
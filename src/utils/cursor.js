@@ -0,0 +1,55 @@
+const { ValidationError } = require("./errors");
+
+/**
+ * Opaque keyset pagination cursors
+ * A cursor carries the sort value and id of the last row on a page.
+ */
+
+/**
+ * Encode a cursor for the row a page ended on
+ * @param {*} value - Sort column value (as text)
+ * @param {Number} id - Row ID (tie-breaker)
+ * @returns {String} base64url cursor
+ */
+function encodeCursor(value, id) {
+  return Buffer.from(JSON.stringify([value, id])).toString("base64url");
+}
+
+/**
+ * Decode a cursor produced by encodeCursor
+ * @param {String} cursor - base64url cursor
+ * @returns {Object} { value, id }
+ */
+function decodeCursor(cursor) {
+  try {
+    const [value, id] = JSON.parse(
+      Buffer.from(String(cursor), "base64url").toString("utf8")
+    );
+    if (!Number.isInteger(id)) throw new Error();
+    return { value, id };
+  } catch {
+    throw new ValidationError("cursor must be a valid pagination cursor");
+  }
+}
+
+/**
+ * Parse `limit` and `cursor` query parameters
+ * @param {Object} query - req.query
+ * @returns {Object} { limit, cursor }
+ */
+function parsePageQuery(query) {
+  const options = { cursor: query.cursor };
+  if (query.limit !== undefined) {
+    options.limit = Number(query.limit);
+    if (!Number.isInteger(options.limit) || options.limit < 1) {
+      throw new ValidationError("limit must be a positive integer");
+    }
+  }
+  return options;
+}
+
+module.exports = {
+  encodeCursor,
+  decodeCursor,
+  parsePageQuery,
+};
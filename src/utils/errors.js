@@ -0,0 +1,156 @@
+/**
+ * Typed errors thrown by services and routes
+ * The error middleware turns them into
+ * { success: false, message, code, errors?, request_id } with their status.
+ */
+
+class AppError extends Error {
+  /**
+   * @param {String} message - Safe to show to the caller
+   * @param {Object} [options] - { status, code, errors, cause }
+   */
+  constructor(message, options = {}) {
+    super(message, { cause: options.cause });
+    this.name = this.constructor.name;
+    this.status = options.status || 500;
+    this.code = options.code || "internal_error";
+    if (options.errors) this.errors = options.errors;
+  }
+}
+
+// Bad input; errors holds { field, code, message } details when known
+// (plain strings from older validators are wrapped in that shape)
+class ValidationError extends AppError {
+  constructor(message, errors) {
+    super(message, {
+      status: 400,
+      code: "validation_failed",
+      errors: errors?.map((error) =>
+        typeof error === "string"
+          ? { field: null, code: "invalid_value", message: error }
+          : error
+      ),
+    });
+  }
+}
+
+class UnauthorizedError extends AppError {
+  constructor(message) {
+    super(message, { status: 401, code: "unauthorized" });
+  }
+}
+
+class ForbiddenError extends AppError {
+  constructor(message) {
+    super(message, { status: 403, code: "forbidden" });
+  }
+}
+
+class NotFoundError extends AppError {
+  constructor(message) {
+    super(message, { status: 404, code: "not_found" });
+  }
+}
+
+// The request clashes with current state (duplicate, busy, inactive)
+class ConflictError extends AppError {
+  constructor(message) {
+    super(message, { status: 409, code: "conflict" });
+  }
+}
+
+// Too many requests in the current window; retryAfter is in seconds
+class RateLimitError extends AppError {
+  constructor(message, retryAfter) {
+    super(message, { status: 429, code: "rate_limited" });
+    this.retryAfter = retryAfter;
+  }
+}
+
+// The caller's plan does not allow more (agents, uploads per day)
+class QuotaExceededError extends AppError {
+  constructor(message, retryAfter) {
+    super(message, { status: 403, code: "quota_exceeded" });
+    if (retryAfter) this.retryAfter = retryAfter;
+  }
+}
+
+// A dependency (Training API, database) failed or is not ready; 502 when it
+// answered badly, 503 when it could not be used at all (retryAfter in
+// seconds when it is known when to try again)
+class UpstreamUnavailableError extends AppError {
+  constructor(message, options = {}) {
+    super(message, {
+      status: options.status || 502,
+      code: "upstream_unavailable",
+      cause: options.cause,
+    });
+    if (options.retryAfter) this.retryAfter = options.retryAfter;
+  }
+}
+
+// Postgres SQLSTATEs callers can fix or retry
+// https://www.postgresql.org/docs/current/errcodes-appendix.html
+const PG_ERRORS = {
+  23505: () => new ConflictError("A record with these values already exists"),
+  23503: () => new ValidationError("A referenced record does not exist"),
+  23502: (error) =>
+    new ValidationError(`${error.column || "A required field"} is required`),
+  23514: () => new ValidationError("A value is outside the allowed range"),
+  "22P02": () => new ValidationError("A value has an invalid format"),
+  22001: () => new ValidationError("A value is too long"),
+  22003: () => new ValidationError("A number is out of range"),
+  22007: () => new ValidationError("A date has an invalid format"),
+  22008: () => new ValidationError("A date is out of range"),
+  40001: () => new ConflictError("Concurrent update - please retry"),
+  "40P01": () => new ConflictError("Concurrent update - please retry"),
+  "55P03": () => new ConflictError("The record is locked - please retry"),
+  57014: (error) =>
+    new UpstreamUnavailableError("Database query timed out", {
+      status: 503,
+      cause: error,
+    }),
+};
+
+// Connection-level failures: the database is down or refusing clients
+const PG_UNAVAILABLE = ["53300", "57P01", "57P02", "57P03"];
+const NETWORK_ERRORS = ["ECONNREFUSED", "ECONNRESET", "ETIMEDOUT", "ENOTFOUND"];
+
+/**
+ * Map a pg driver error to an AppError (null when it isn't one)
+ * @param {Error} error - Error thrown by pg
+ * @returns {AppError|null}
+ */
+function fromDatabaseError(error) {
+  const code = error && error.code;
+  if (!code) return null;
+
+  if (PG_ERRORS[code]) return PG_ERRORS[code](error);
+  if (PG_UNAVAILABLE.includes(code) || code.startsWith("08")) {
+    return new UpstreamUnavailableError("Database unavailable", {
+      status: 503,
+      cause: error,
+    });
+  }
+  // Raw socket errors only count as the database's when pg raised them
+  if (NETWORK_ERRORS.includes(code) && !error.isAxiosError) {
+    return new UpstreamUnavailableError("Database unavailable", {
+      status: 503,
+      cause: error,
+    });
+  }
+  return null;
+}
+
+module.exports = {
+  AppError,
+  ValidationError,
+  UnauthorizedError,
+  ForbiddenError,
+  NotFoundError,
+  ConflictError,
+  RateLimitError,
+  QuotaExceededError,
+  UpstreamUnavailableError,
+  fromDatabaseError,
+};
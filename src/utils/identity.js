@@ -0,0 +1,71 @@
+const { ForbiddenError, ValidationError } = require("./errors");
+
+/**
+ * Helpers for scoping work to the authenticated caller (req.user)
+ */
+
+const FORBIDDEN_MESSAGE =
+  "Access denied - cannot act on another creator's resources";
+
+function isBlank(value) {
+  return value === undefined || value === null || value === "";
+}
+
+/**
+ * Resolve which creator (users.id) a request acts on
+ * Admins may target another creator; everyone else only themselves.
+ * @param {Object} identity - Authenticated caller ({ id, user_id, isAdmin })
+ * @param {*} requested - creator_id from query/body, if any
+ * @returns {Number} Creator user ID
+ */
+function resolveCreatorId(identity, requested) {
+  if (isBlank(requested)) return identity.id;
+
+  const creatorId = parseInt(requested);
+  if (isNaN(creatorId)) {
+    throw new ValidationError("creator_id must be a valid number");
+  }
+  if (creatorId !== identity.id && !identity.isAdmin) {
+    throw new ForbiddenError(FORBIDDEN_MESSAGE);
+  }
+
+  return creatorId;
+}
+
+/**
+ * Resolve which users.user_id a request acts on (same rules as creators)
+ * @param {Object} identity - Authenticated caller
+ * @param {*} requested - user_id from query/body, if any
+ * @returns {String} User ID
+ */
+function resolveUserId(identity, requested) {
+  if (isBlank(requested)) return identity.user_id;
+
+  if (String(requested) !== identity.user_id && !identity.isAdmin) {
+    throw new ForbiddenError(FORBIDDEN_MESSAGE);
+  }
+
+  return String(requested);
+}
+
+/**
+ * Build an ownership filter for a query
+ * Pushes the caller's ID onto `values` and returns the matching
+ * `AND <column> = $n` clause; admins get no filter.
+ * @param {Object} identity - Authenticated caller
+ * @param {Array} values - Query parameter list (mutated)
+ * @param {String} column - Owner column to filter on
+ * @returns {String} SQL fragment
+ */
+function ownerScope(identity, values, column = "creator_id") {
+  if (identity.isAdmin) return "";
+
+  values.push(identity.id);
+  return `AND ${column} = $${values.length}`;
+}
+
+module.exports = {
+  resolveCreatorId,
+  resolveUserId,
+  ownerScope,
+};
@@ -0,0 +1,104 @@
+const requestContext = require("./requestContext");
+
+/**
+ * Structured logger
+ * One JSON object per line on stdout:
+ *   { time, level, msg, request_id?, ...fields }
+ * LOG_LEVEL (debug | info | warn | error, default info) sets the minimum
+ * level. Emails and prompt/message bodies are redacted from fields, and
+ * errors are reduced to name, message, code and status (axios errors carry
+ * the request body in their config).
+ */
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+const MIN_LEVEL = LEVELS[process.env.LOG_LEVEL] || LEVELS.info;
+
+// Fields whose values are never logged
+const REDACTED_KEYS = new Set([
+  "authorization",
+  "content",
+  "email",
+  "messages",
+  "password",
+  "prompt",
+  "system_prompt",
+  "token",
+]);
+const EMAIL = /[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Za-z]{2,}/g;
+const MAX_DEPTH = 5;
+
+/**
+ * Keep the first character of the local part: j***@example.com
+ */
+function maskEmails(text) {
+  return text.replace(
+    EMAIL,
+    (email) => `${email[0]}***${email.slice(email.indexOf("@"))}`
+  );
+}
+
+function serializeError(error) {
+  const serialized = {
+    name: error.name,
+    message: maskEmails(String(error.message)),
+  };
+  if (error.code) serialized.code = error.code;
+  if (error.status) serialized.status = error.status;
+  if (error.response) serialized.upstream_status = error.response.status;
+  if (error.stack && !error.status) serialized.stack = maskEmails(error.stack);
+  return serialized;
+}
+
+/**
+ * Copy fields with secrets and personal data removed
+ */
+function redact(value, depth = 0) {
+  if (value instanceof Error) return serializeError(value);
+  if (typeof value === "string") return maskEmails(value);
+  if (value === null || typeof value !== "object") return value;
+  if (depth >= MAX_DEPTH) return "[truncated]";
+  if (value instanceof Date) return value.toISOString();
+  if (Array.isArray(value)) return value.map((item) => redact(item, depth + 1));
+
+  return Object.fromEntries(
+    Object.entries(value).map(([key, item]) => [
+      key,
+      REDACTED_KEYS.has(key.toLowerCase())
+        ? "[redacted]"
+        : redact(item, depth + 1),
+    ])
+  );
+}
+
+function write(level, msg, fields) {
+  if (LEVELS[level] < MIN_LEVEL) return;
+
+  const { request_id } = requestContext.get();
+  const entry = {
+    time: new Date().toISOString(),
+    level,
+    msg,
+    ...(request_id && { request_id }),
+    ...redact(fields || {}),
+  };
+  process.stdout.write(`${JSON.stringify(entry)}\n`);
+}
+
+/**
+ * Build a logger whose lines all carry `bound` fields
+ * @param {Object} [bound] - e.g. { worker: "training-sync" }
+ */
+function createLogger(bound = {}) {
+  const log = (level) => (msg, fields) =>
+    write(level, msg, { ...bound, ...fields });
+
+  return {
+    debug: log("debug"),
+    info: log("info"),
+    warn: log("warn"),
+    error: log("error"),
+    child: (fields) => createLogger({ ...bound, ...fields }),
+  };
+}
+
+module.exports = createLogger();
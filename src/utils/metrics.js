@@ -0,0 +1,59 @@
+const client = require("prom-client");
+
+/**
+ * Prometheus metrics registry
+ * Metrics updated as things happen (HTTP requests, Training API calls) are
+ * defined here; gauges read at scrape time (pool, domain counts) are
+ * registered by metricsService.
+ */
+const registry = new client.Registry();
+client.collectDefaultMetrics({ register: registry });
+
+const httpRequestsTotal = new client.Counter({
+  name: "http_requests_total",
+  help: "HTTP requests by method, route and status",
+  labelNames: ["method", "route", "status"],
+  registers: [registry],
+});
+
+const httpRequestDuration = new client.Histogram({
+  name: "http_request_duration_seconds",
+  help: "HTTP request latency by method, route and status",
+  labelNames: ["method", "route", "status"],
+  buckets: [0.01, 0.025, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30],
+  registers: [registry],
+});
+
+// outcome: success | http_error (4xx/5xx answer) | timeout | network_error
+// | short_circuited | cancelled
+const trainingApiCallsTotal = new client.Counter({
+  name: "training_api_calls_total",
+  help: "Training API calls by operation and final outcome",
+  labelNames: ["operation", "outcome"],
+  registers: [registry],
+});
+
+const trainingApiRetriesTotal = new client.Counter({
+  name: "training_api_retries_total",
+  help: "Training API call retries by operation",
+  labelNames: ["operation"],
+  registers: [registry],
+});
+
+const trainingApiDuration = new client.Histogram({
+  name: "training_api_request_duration_seconds",
+  help: "Latency of individual Training API attempts by operation",
+  labelNames: ["operation"],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10, 30, 60],
+  registers: [registry],
+});
+
+module.exports = {
+  client,
+  registry,
+  httpRequestsTotal,
+  httpRequestDuration,
+  trainingApiCallsTotal,
+  trainingApiRetriesTotal,
+  trainingApiDuration,
+};
@@ -0,0 +1,124 @@
+/**
+ * system_prompt placeholders
+ *
+ *   {{agent.name}} {{agent.description}} {{agent.personality_name}}
+ *   {{agent.tone}} {{agent.model}}   - the agent's own fields
+ *   {{traits}}                       - trait_array joined with ", "
+ *   {{company}}                      - a creator-defined prompt variable
+ *
+ * Prompt variables map names to default values; callers may override the
+ * values when rendering (e.g. the preview endpoint).
+ */
+
+const BUILT_INS = {
+  "agent.name": (agent) => agent.name,
+  "agent.description": (agent) => agent.description,
+  "agent.personality_name": (agent) => agent.personality_name,
+  "agent.tone": (agent) => agent.tone,
+  "agent.model": (agent) => agent.model,
+  traits: (agent) => (agent.trait_array || []).join(", "),
+};
+
+const VARIABLE_NAME = /^[A-Za-z_][A-Za-z0-9_]*$/;
+const PLACEHOLDER = /\{\{\s*([^{}]*?)\s*\}\}/g;
+const MAX_VARIABLES = 50;
+const MAX_VARIABLE_LENGTH = 2000;
+
+/**
+ * Check a prompt_variables object
+ * @param {*} variables - { name: defaultValue }
+ * @returns {Array<String>} Validation errors
+ */
+function validateVariables(variables) {
+  if (
+    variables === null ||
+    typeof variables !== "object" ||
+    Array.isArray(variables)
+  ) {
+    return ["prompt_variables must be an object of name: default value"];
+  }
+
+  const errors = [];
+  const names = Object.keys(variables);
+  if (names.length > MAX_VARIABLES) {
+    errors.push(`prompt_variables must define at most ${MAX_VARIABLES} names`);
+  }
+
+  for (const name of names) {
+    if (!VARIABLE_NAME.test(name) || Object.hasOwn(BUILT_INS, name)) {
+      errors.push(
+        `prompt_variables.${name} must be a name of letters, digits and underscores that isn't built in`
+      );
+    } else if (
+      typeof variables[name] !== "string" ||
+      variables[name].length > MAX_VARIABLE_LENGTH
+    ) {
+      errors.push(
+        `prompt_variables.${name} must be a string of at most ${MAX_VARIABLE_LENGTH} characters`
+      );
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check a prompt's placeholders against the built-ins and the variables
+ * @param {String} prompt - system_prompt text
+ * @param {Object} [variables] - prompt_variables defined for the agent
+ * @returns {Array<String>} Validation errors
+ */
+function validatePrompt(prompt, variables = {}) {
+  if (!prompt) return [];
+
+  const errors = [];
+
+  // Anything left after removing well-formed placeholders is unbalanced
+  const stray = prompt.replace(PLACEHOLDER, "").match(/\{\{|\}\}/);
+  if (stray) {
+    errors.push(
+      `system_prompt must be balanced - found a stray "${stray[0]}" (placeholders look like {{name}})`
+    );
+  }
+
+  const unknown = new Set();
+  for (const [, name] of prompt.matchAll(PLACEHOLDER)) {
+    if (
+      !Object.hasOwn(BUILT_INS, name) &&
+      !Object.hasOwn(variables || {}, name)
+    ) {
+      unknown.add(name);
+    }
+  }
+  for (const name of unknown) {
+    errors.push(
+      `system_prompt placeholder {{${name}}} must be built in (${Object.keys(
+        BUILT_INS
+      ).join(", ")}) or defined in prompt_variables`
+    );
+  }
+
+  return errors;
+}
+
+/**
+ * Fill in a prompt's placeholders
+ * @param {String} prompt - Validated system_prompt text
+ * @param {Object} agent - Agent fields (incl. prompt_variables defaults)
+ * @param {Object} [overrides] - Variable values replacing the defaults
+ * @returns {String} Rendered prompt
+ */
+function renderPrompt(prompt, agent, overrides = {}) {
+  const values = { ...(agent.prompt_variables || {}), ...overrides };
+
+  return prompt.replace(PLACEHOLDER, (match, name) => {
+    if (Object.hasOwn(BUILT_INS, name)) return BUILT_INS[name](agent) ?? "";
+    return Object.hasOwn(values, name) ? values[name] : match;
+  });
+}
+
+module.exports = {
+  validateVariables,
+  validatePrompt,
+  renderPrompt,
+};
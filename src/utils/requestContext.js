@@ -0,0 +1,41 @@
+const crypto = require("crypto");
+const { AsyncLocalStorage } = require("async_hooks");
+
+/**
+ * Per-request (or per worker pass) context
+ * Whatever runs inside run() - including awaited service calls - can read
+ * the request ID without it being passed down, so log lines and outbound
+ * Training API calls carry it.
+ */
+const storage = new AsyncLocalStorage();
+
+/**
+ * Run fn with a context
+ * @param {Object} context - { request_id, ... }
+ * @param {Function} fn - Runs inside the context
+ */
+function run(context, fn) {
+  return storage.run(context, fn);
+}
+
+/**
+ * Run fn with a fresh request ID (background work such as worker passes)
+ * @param {String} source - Prefix for the generated ID (e.g. "training-sync")
+ * @param {Function} fn - Runs inside the context
+ */
+function runDetached(source, fn) {
+  return storage.run({ request_id: `${source}-${crypto.randomUUID()}` }, fn);
+}
+
+/**
+ * The current context ({} outside of one)
+ */
+function get() {
+  return storage.getStore() || {};
+}
+
+module.exports = {
+  run,
+  runDetached,
+  get,
+};
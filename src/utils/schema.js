@@ -0,0 +1,236 @@
+/**
+ * Small declarative validator for request payloads
+ *
+ * A schema is { fields, rules }:
+ *   fields: { name: rule } where a rule may set
+ *     type       string | number | integer | boolean | array | object
+ *     required   must be present (skipped for partial updates)
+ *     nullable   null is accepted (and clears the field)
+ *     readOnly   present in responses but never accepted
+ *     minLength / maxLength   string length (strings are trimmed first)
+ *     min / max / exclusiveMin   numeric bounds
+ *     multipleOf                 numeric step (e.g. 0.01 for money)
+ *     enum       allowed values (array, or a function returning one)
+ *     items      rule applied to each array element; maxItems caps length
+ *     check      (value) => [{ code, message }] for anything else
+ *   rules: [{ fields, check }] cross-field checks; check(data) returns
+ *   [{ field, code, message }] and runs on the whole object once every field
+ *   is valid
+ *
+ * Errors are { field, code, message } so clients can map them to inputs.
+ */
+
+const TYPE_CHECKS = {
+  string: (value) => typeof value === "string",
+  number: (value) => typeof value === "number" && Number.isFinite(value),
+  integer: (value) => Number.isInteger(value),
+  boolean: (value) => typeof value === "boolean",
+  array: (value) => Array.isArray(value),
+  object: (value) =>
+    value !== null && typeof value === "object" && !Array.isArray(value),
+};
+
+const TYPE_NAMES = {
+  string: "a string",
+  number: "a number",
+  integer: "an integer",
+  boolean: "true or false",
+  array: "an array",
+  object: "an object",
+};
+
+/**
+ * Build a structured error
+ */
+function fieldError(field, code, message) {
+  return { field, code, message };
+}
+
+/**
+ * Validate one value against a field rule
+ * @returns {Array<Object>} Errors
+ */
+function checkValue(field, rule, value) {
+  if (value === null) {
+    return rule.nullable
+      ? []
+      : [fieldError(field, "invalid_type", `${field} must not be null`)];
+  }
+
+  if (!TYPE_CHECKS[rule.type](value)) {
+    return [
+      fieldError(
+        field,
+        "invalid_type",
+        `${field} must be ${TYPE_NAMES[rule.type]}`
+      ),
+    ];
+  }
+
+  const errors = [];
+
+  if (rule.type === "string") {
+    const length = value.trim().length;
+    if (rule.minLength !== undefined && length < rule.minLength) {
+      errors.push(
+        fieldError(
+          field,
+          rule.minLength === 1 ? "required" : "too_short",
+          rule.minLength === 1
+            ? `${field} must not be empty`
+            : `${field} must be at least ${rule.minLength} characters`
+        )
+      );
+    }
+    if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+      errors.push(
+        fieldError(
+          field,
+          "too_long",
+          `${field} must be at most ${rule.maxLength} characters`
+        )
+      );
+    }
+  }
+
+  if (rule.type === "number" || rule.type === "integer") {
+    if (rule.min !== undefined && value < rule.min) {
+      errors.push(
+        fieldError(field, "too_small", `${field} must be at least ${rule.min}`)
+      );
+    }
+    if (rule.exclusiveMin !== undefined && value <= rule.exclusiveMin) {
+      errors.push(
+        fieldError(
+          field,
+          "too_small",
+          `${field} must be greater than ${rule.exclusiveMin}`
+        )
+      );
+    }
+    if (rule.max !== undefined && value > rule.max) {
+      errors.push(
+        fieldError(field, "too_large", `${field} must be at most ${rule.max}`)
+      );
+    }
+    if (
+      rule.multipleOf !== undefined &&
+      Math.abs(Math.round(value / rule.multipleOf) * rule.multipleOf - value) >
+        1e-9
+    ) {
+      errors.push(
+        fieldError(
+          field,
+          "invalid_precision",
+          `${field} must be a multiple of ${rule.multipleOf}`
+        )
+      );
+    }
+  }
+
+  if (rule.enum) {
+    const allowed = typeof rule.enum === "function" ? rule.enum() : rule.enum;
+    if (!allowed.includes(value)) {
+      errors.push(
+        fieldError(
+          field,
+          "invalid_value",
+          allowed.length <= 20
+            ? `${field} must be one of: ${allowed.join(", ")}`
+            : `${field} must be a supported value`
+        )
+      );
+    }
+  }
+
+  if (rule.type === "array") {
+    if (rule.maxItems !== undefined && value.length > rule.maxItems) {
+      errors.push(
+        fieldError(
+          field,
+          "too_long",
+          `${field} must have at most ${rule.maxItems} items`
+        )
+      );
+    }
+    if (rule.items) {
+      value.forEach((item, i) => {
+        errors.push(...checkValue(`${field}[${i}]`, rule.items, item));
+      });
+    }
+  }
+
+  if (rule.check && errors.length === 0) {
+    for (const { code, message } of rule.check(value)) {
+      errors.push(fieldError(field, code, message));
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a payload against a schema
+ * @param {Object} schema - { fields, rules }
+ * @param {*} data - Payload (req.body)
+ * @param {Object} [options] - { partial } skips required and cross-field
+ *   checks for updates, which are completed against the stored row
+ * @returns {Array<Object>} Errors ([] when valid)
+ */
+function validate(schema, data, options = {}) {
+  if (!TYPE_CHECKS.object(data)) {
+    return [fieldError(null, "invalid_type", "body must be a JSON object")];
+  }
+
+  const errors = [];
+
+  for (const field of Object.keys(data)) {
+    if (!Object.hasOwn(schema.fields, field)) {
+      errors.push(
+        fieldError(field, "unknown_field", `${field} is not a known field`)
+      );
+    } else if (schema.fields[field].readOnly) {
+      errors.push(
+        fieldError(field, "read_only", `${field} cannot be set directly`)
+      );
+    }
+  }
+
+  for (const [field, rule] of Object.entries(schema.fields)) {
+    if (rule.readOnly) continue;
+    if (data[field] === undefined) {
+      if (rule.required && !options.partial) {
+        errors.push(fieldError(field, "required", `${field} is required`));
+      }
+      continue;
+    }
+    errors.push(...checkValue(field, rule, data[field]));
+  }
+
+  if (errors.length === 0 && !options.partial) {
+    errors.push(...checkRules(schema, data));
+  }
+
+  return errors;
+}
+
+/**
+ * Run only a schema's cross-field rules (e.g. on a row merged with updates)
+ * @param {Object} schema - { rules }
+ * @param {Object} data - Complete object
+ * @param {Array<String>} [touched] - Only run rules reading these fields
+ * @returns {Array<Object>} Errors
+ */
+function checkRules(schema, data, touched) {
+  return (schema.rules || [])
+    .filter(
+      (rule) => !touched || rule.fields.some((field) => touched.includes(field))
+    )
+    .flatMap((rule) => rule.check(data));
+}
+
+module.exports = {
+  fieldError,
+  validate,
+  checkRules,
+};
@@ -0,0 +1,414 @@
+const crypto = require("crypto");
+const axios = require("axios");
+const requestContext = require("./requestContext");
+const metrics = require("./metrics");
+const logger = require("./logger").child({ upstream: "training-api" });
+const { UpstreamUnavailableError } = require("./errors");
+
+/**
+ * Training API client
+ * All outbound Training API calls go through a dedicated axios instance (the
+ * global one is left untouched) with:
+ * - a timeout on every attempt
+ * - retries with jittered exponential backoff on network errors, timeouts,
+ *   429 and 5xx; POSTs carry an Idempotency-Key that is reused across their
+ *   retries, so a retried create can't register a second remote agent
+ * - a circuit breaker: after BREAKER_THRESHOLD consecutive failures calls
+ *   fail fast with a 503 for BREAKER_COOLDOWN_MS, then one trial call
+ *   decides whether it closes again
+ * Calls carry the current request's X-Request-Id so both sides' logs line up.
+ */
+
+/**
+ * Integer env var, keeping 0 (unlike `parseInt(...) || fallback`)
+ */
+function envInt(name, fallback) {
+  const value = parseInt(process.env[name]);
+  return Number.isNaN(value) ? fallback : value;
+}
+
+const BASE_URL =
+  process.env.TRAINING_API_URL || "https://training-service.vercel.app";
+
+const TIMEOUT_MS = envInt("TRAINING_API_TIMEOUT_MS", 10000);
+// Chat replies are generated while we wait (and streamed)
+const CHAT_TIMEOUT_MS = envInt("TRAINING_API_CHAT_TIMEOUT_MS", 60000);
+const UPLOAD_TIMEOUT_MS = envInt("TRAINING_API_UPLOAD_TIMEOUT_MS", 30000);
+const MAX_RETRIES = envInt("TRAINING_API_RETRIES", 3);
+const BASE_DELAY_MS = envInt("TRAINING_API_RETRY_BASE_MS", 500);
+const MAX_DELAY_MS = 8000;
+const BREAKER_THRESHOLD = envInt("TRAINING_API_BREAKER_THRESHOLD", 5);
+const BREAKER_COOLDOWN_MS = envInt("TRAINING_API_BREAKER_COOLDOWN_MS", 30000);
+
+const RETRYABLE_CODES = [
+  "ECONNABORTED",
+  "ECONNREFUSED",
+  "ECONNRESET",
+  "ETIMEDOUT",
+  "EAI_AGAIN",
+  "EPIPE",
+];
+
+const http = axios.create({ baseURL: BASE_URL });
+
+const breaker = {
+  state: "closed", // closed | open | half_open
+  failures: 0,
+  openedAt: null,
+  trialInFlight: false,
+};
+
+// Per-operation call metrics since startup
+const operations = {};
+
+function statsFor(operation) {
+  if (!operations[operation]) {
+    operations[operation] = {
+      calls: 0,
+      succeeded: 0,
+      failed: 0,
+      retries: 0,
+      timeouts: 0,
+      short_circuited: 0,
+      total_latency_ms: 0,
+      max_latency_ms: 0,
+    };
+  }
+  return operations[operation];
+}
+
+/**
+ * Whether an error counts against the upstream's health (a cancelled call
+ * or a 4xx answer doesn't)
+ */
+function isUpstreamFailure(error) {
+  if (axios.isCancel(error)) return false;
+  const status = error.response?.status;
+  return !status || status >= 500 || status === 429;
+}
+
+function isRetryable(error) {
+  if (axios.isCancel(error)) return false;
+  if (error.response) {
+    return error.response.status >= 500 || error.response.status === 429;
+  }
+  return RETRYABLE_CODES.includes(error.code);
+}
+
+/**
+ * Final outcome label for the calls metric
+ */
+function outcomeOf(error) {
+  if (axios.isCancel(error)) return "cancelled";
+  if (error.response) return "http_error";
+  if (error.code === "ECONNABORTED") return "timeout";
+  return "network_error";
+}
+
+/**
+ * Delay before retry `attempt` (1-based): full jitter over an exponential
+ * ceiling, or the upstream's Retry-After when it sent one
+ */
+function retryDelay(attempt, error) {
+  const retryAfter = parseInt(error.response?.headers?.["retry-after"]);
+  if (retryAfter > 0) return Math.min(retryAfter * 1000, MAX_DELAY_MS);
+  return (
+    Math.random() * Math.min(BASE_DELAY_MS * 2 ** (attempt - 1), MAX_DELAY_MS)
+  );
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    const onAbort = () => {
+      clearTimeout(timer);
+      resolve();
+    };
+    const timer = setTimeout(() => {
+      signal?.removeEventListener("abort", onAbort);
+      resolve();
+    }, ms);
+    signal?.addEventListener("abort", onAbort, { once: true });
+  });
+}
+
+/**
+ * Seconds until an open breaker lets a trial call through
+ */
+function secondsUntilTrial() {
+  return Math.max(
+    1,
+    Math.ceil((breaker.openedAt + BREAKER_COOLDOWN_MS - Date.now()) / 1000)
+  );
+}
+
+/**
+ * Ask the breaker for permission to call; throws while it is open
+ */
+function admit() {
+  if (
+    breaker.state === "open" &&
+    Date.now() - breaker.openedAt >= BREAKER_COOLDOWN_MS
+  ) {
+    breaker.state = "half_open";
+  }
+
+  if (
+    breaker.state === "open" ||
+    (breaker.state === "half_open" && breaker.trialInFlight)
+  ) {
+    throw new UpstreamUnavailableError(
+      "Training API is unavailable - please retry shortly",
+      { status: 503, retryAfter: secondsUntilTrial() }
+    );
+  }
+
+  if (breaker.state === "half_open") breaker.trialInFlight = true;
+}
+
+function recordSuccess() {
+  breaker.failures = 0;
+  breaker.trialInFlight = false;
+  if (breaker.state !== "closed") {
+    logger.info("Training API circuit closed");
+    breaker.state = "closed";
+    breaker.openedAt = null;
+  }
+}
+
+function recordFailure() {
+  breaker.failures++;
+  breaker.trialInFlight = false;
+  if (
+    breaker.state === "half_open" ||
+    (breaker.state === "closed" && breaker.failures >= BREAKER_THRESHOLD)
+  ) {
+    logger.error("Training API circuit opened", {
+      consecutive_failures: breaker.failures,
+      cooldown_ms: BREAKER_COOLDOWN_MS,
+    });
+    breaker.state = "open";
+    breaker.openedAt = Date.now();
+  }
+}
+
+/**
+ * Make one Training API call under the retry, timeout and breaker policy
+ * @param {String} operation - Metrics label (e.g. "agents.create")
+ * @param {Object} config - axios request config (url relative to the API)
+ * @param {Object} [policy] - { timeout, retries, idempotencyKey,
+ *   retryTimeouts (false when a timed-out attempt may still be running) }
+ * @returns {Promise<Object>} axios response
+ */
+async function request(operation, config, policy = {}) {
+  const stats = statsFor(operation);
+  const retries = policy.retries ?? MAX_RETRIES;
+  const headers = { ...config.headers };
+  const { request_id } = requestContext.get();
+  if (request_id) headers["X-Request-Id"] = request_id;
+  if (config.method === "post") {
+    headers["Idempotency-Key"] = policy.idempotencyKey || crypto.randomUUID();
+  }
+
+  stats.calls++;
+  for (let attempt = 0; ; attempt++) {
+    try {
+      admit();
+    } catch (error) {
+      stats.short_circuited++;
+      stats.failed++;
+      metrics.trainingApiCallsTotal.inc({
+        operation,
+        outcome: "short_circuited",
+      });
+      throw error;
+    }
+
+    const started = Date.now();
+    const endTimer = metrics.trainingApiDuration.startTimer({ operation });
+    try {
+      const response = await http.request({
+        ...config,
+        headers,
+        timeout: policy.timeout || TIMEOUT_MS,
+      });
+      endTimer();
+      recordSuccess();
+      const latency = Date.now() - started;
+      logger.debug("Training API call succeeded", {
+        operation,
+        attempt: attempt + 1,
+        status: response.status,
+        duration_ms: latency,
+      });
+      stats.succeeded++;
+      stats.total_latency_ms += latency;
+      stats.max_latency_ms = Math.max(stats.max_latency_ms, latency);
+      metrics.trainingApiCallsTotal.inc({ operation, outcome: "success" });
+      return response;
+    } catch (error) {
+      endTimer();
+      if (error.code === "ECONNABORTED") stats.timeouts++;
+      if (isUpstreamFailure(error)) {
+        recordFailure();
+      } else {
+        // A 4xx still means the Training API is answering
+        if (error.response) recordSuccess();
+        breaker.trialInFlight = false;
+      }
+
+      if (
+        attempt >= retries ||
+        !isRetryable(error) ||
+        (policy.retryTimeouts === false && error.code === "ECONNABORTED") ||
+        breaker.state === "open" ||
+        config.signal?.aborted
+      ) {
+        stats.failed++;
+        metrics.trainingApiCallsTotal.inc({
+          operation,
+          outcome: outcomeOf(error),
+        });
+        throw error;
+      }
+      stats.retries++;
+      metrics.trainingApiRetriesTotal.inc({ operation });
+      logger.warn("Retrying Training API call", {
+        operation,
+        attempt: attempt + 1,
+        duration_ms: Date.now() - started,
+        error,
+      });
+      await sleep(retryDelay(attempt + 1, error), config.signal);
+    }
+  }
+}
+
+/**
+ * Register an agent
+ * @param {Object} payload - From buildTrainingPayload
+ * @param {String} idempotencyKey - Stable per local agent, so redelivered
+ *   creates resolve to the same remote agent
+ */
+function createAgent(payload, idempotencyKey) {
+  return request(
+    "agents.create",
+    { method: "post", url: "/api/agents", data: payload },
+    { idempotencyKey }
+  );
+}
+
+function updateAgent(trainingApiUuid, payload) {
+  return request("agents.update", {
+    method: "put",
+    url: `/api/agents/${trainingApiUuid}`,
+    data: payload,
+  });
+}
+
+function deleteAgent(trainingApiUuid) {
+  return request("agents.delete", {
+    method: "delete",
+    url: `/api/agents/${trainingApiUuid}`,
+  });
+}
+
+/**
+ * Send a conversation to an agent
+ * Not retried after a timeout: the reply may still be generating upstream.
+ * @param {String} trainingApiUuid - Remote agent ID
+ * @param {Object} body - { messages, model, temperature, max_tokens, stream }
+ * @param {Object} [options] - { stream, signal }
+ */
+function chat(trainingApiUuid, body, options = {}) {
+  return request(
+    "agents.chat",
+    {
+      method: "post",
+      url: `/api/agents/${trainingApiUuid}/chat`,
+      data: body,
+      responseType: options.stream ? "stream" : "json",
+      headers: options.stream ? { Accept: "text/event-stream" } : {},
+      signal: options.signal,
+    },
+    { timeout: CHAT_TIMEOUT_MS, retryTimeouts: false }
+  );
+}
+
+/**
+ * Upload a document for training
+ * @param {String} trainingApiUuid - Remote agent ID
+ * @param {FormData} form - file and document_id
+ */
+function uploadDocument(trainingApiUuid, form) {
+  return request(
+    "documents.upload",
+    {
+      method: "post",
+      url: `/api/agents/${trainingApiUuid}/documents`,
+      data: form,
+    },
+    { timeout: UPLOAD_TIMEOUT_MS }
+  );
+}
+
+function deleteDocument(trainingApiUuid, trainingDocumentId) {
+  return request("documents.delete", {
+    method: "delete",
+    url: `/api/agents/${trainingApiUuid}/documents/${trainingDocumentId}`,
+  });
+}
+
+/**
+ * Start a training run
+ * @param {String} trainingApiUuid - Remote agent ID
+ * @param {Object} body - { reference }
+ * @param {String} idempotencyKey - Stable per local training job
+ */
+function startTraining(trainingApiUuid, body, idempotencyKey) {
+  return request(
+    "training.start",
+    { method: "post", url: `/api/agents/${trainingApiUuid}/train`, data: body },
+    { idempotencyKey }
+  );
+}
+
+/**
+ * Breaker state and per-operation call metrics
+ * @returns {Object} { url, breaker, operations }
+ */
+function getStats() {
+  const open = breaker.state === "open";
+  return {
+    url: BASE_URL,
+    breaker: {
+      state: breaker.state,
+      consecutive_failures: breaker.failures,
+      threshold: BREAKER_THRESHOLD,
+      opened_at: breaker.openedAt && new Date(breaker.openedAt).toISOString(),
+      retry_in_s: open ? secondsUntilTrial() : null,
+    },
+    operations: Object.fromEntries(
+      Object.entries(operations).map(([name, stats]) => [
+        name,
+        {
+          ...stats,
+          avg_latency_ms: stats.succeeded
+            ? Math.round(stats.total_latency_ms / stats.succeeded)
+            : null,
+        },
+      ])
+    ),
+  };
+}
+
+module.exports = {
+  BASE_URL,
+  createAgent,
+  updateAgent,
+  deleteAgent,
+  chat,
+  uploadDocument,
+  deleteDocument,
+  startTraining,
+  getStats,
+};
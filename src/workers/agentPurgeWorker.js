@@ -0,0 +1,65 @@
+const agentService = require("../services/agentService");
+const requestContext = require("../utils/requestContext");
+const logger = require("../utils/logger").child({ worker: "agent-purge" });
+
+const INTERVAL_MS =
+  parseInt(process.env.AGENT_PURGE_INTERVAL_MS) || 60 * 60 * 1000;
+
+let timer = null;
+let pass = null;
+
+/**
+ * Hard-delete agents whose trash retention has expired
+ */
+async function purge() {
+  try {
+    const result = await agentService.purgeDeletedAgents();
+    if (result.data.agent_ids.length > 0) {
+      logger.info(result.message, { agent_ids: result.data.agent_ids });
+    }
+  } catch (error) {
+    logger.error("Agent purge worker error", { error });
+  }
+}
+
+/**
+ * Run a purge unless one is already in progress
+ * @returns {Promise} Settles when the current purge is done
+ */
+function runOnce() {
+  if (!pass) {
+    pass = purge().finally(() => {
+      pass = null;
+    });
+  }
+  return pass;
+}
+
+/**
+ * Start the periodic purge
+ */
+function start() {
+  if (timer) return;
+  timer = setInterval(
+    () => requestContext.runDetached("agent-purge", runOnce),
+    INTERVAL_MS
+  );
+  timer.unref();
+  logger.info("Agent purge worker started", { interval_ms: INTERVAL_MS });
+}
+
+/**
+ * Stop the periodic purge
+ * @returns {Promise} Settles once a purge in progress has finished
+ */
+function stop() {
+  clearInterval(timer);
+  timer = null;
+  return pass || Promise.resolve();
+}
+
+module.exports = {
+  start,
+  stop,
+  runOnce,
+};
@@ -0,0 +1,88 @@
+const trainingSyncService = require("../services/trainingSyncService");
+const requestContext = require("../utils/requestContext");
+const logger = require("../utils/logger").child({
+  worker: "training-sync",
+});
+
+const INTERVAL_MS = parseInt(process.env.TRAINING_SYNC_INTERVAL_MS) || 5000;
+
+let timer = null;
+let pass = null;
+let stopping = false;
+
+/**
+ * Drain due outbox events until a batch comes back empty
+ * (or the worker is stopped)
+ */
+async function drain() {
+  try {
+    await trainingSyncService.releaseStuckEvents();
+
+    let batch;
+    do {
+      batch = await trainingSyncService.processBatch();
+    } while (!stopping && batch.claimed > 0 && batch.failed < batch.claimed);
+  } catch (error) {
+    logger.error("Training sync worker error", { error });
+  }
+}
+
+/**
+ * Run a pass unless one is already in progress
+ * @returns {Promise} Settles when the current pass is done
+ */
+function runOnce() {
+  if (!pass) {
+    pass = drain().finally(() => {
+      pass = null;
+    });
+  }
+  return pass;
+}
+
+/**
+ * One pass with its own request ID (kicks would otherwise inherit the ID of
+ * the request that made them, though the pass drains everyone's events)
+ */
+function tick() {
+  return requestContext.runDetached("training-sync", runOnce);
+}
+
+/**
+ * Start polling the outbox
+ */
+function start() {
+  if (timer) return;
+  stopping = false;
+  timer = setInterval(tick, INTERVAL_MS);
+  timer.unref();
+  logger.info("Training sync worker started", { interval_ms: INTERVAL_MS });
+}
+
+/**
+ * Stop polling the outbox
+ * @returns {Promise} Settles once a pass in progress has finished its
+ *   current batch (claimed events are never left half-delivered)
+ */
+function stop() {
+  clearInterval(timer);
+  timer = null;
+  stopping = true;
+  return pass || Promise.resolve();
+}
+
+/**
+ * Process the outbox now instead of waiting for the next tick
+ * (called after an agent change commits; never throws)
+ */
+function kick() {
+  if (!timer) return;
+  setImmediate(tick);
+}
+
+module.exports = {
+  start,
+  stop,
+  kick,
+  runOnce,
+};